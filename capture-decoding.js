@@ -0,0 +1,109 @@
+import zlib from "zlib";
+import LZString from "lz-string";
+
+// Thrown when a capture payload can't be decoded; `details` says which encoding was tried
+export class PayloadDecodeError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "PayloadDecodeError";
+    this.details = details;
+  }
+}
+
+const isGzip = (buffer) =>
+  buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+
+// Undo the HTTP Content-Encoding, if any
+function decodeContentEncoding(body, contentEncoding) {
+  switch (contentEncoding) {
+    case "gzip":
+      return zlib.gunzipSync(body);
+    case "deflate":
+      return zlib.inflateSync(body);
+    case "br":
+      return zlib.brotliDecompressSync(body);
+    default:
+      return body;
+  }
+}
+
+// Undo posthog-js' own compression of a payload string/buffer
+function decodeCompression(data, compression) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, "latin1");
+
+  if (compression === "gzip-js" || compression === "gzip" || isGzip(buffer)) {
+    return zlib.gunzipSync(buffer).toString("utf8");
+  }
+
+  const text = Buffer.isBuffer(data) ? data.toString("utf8") : data;
+  if (compression === "lz64") {
+    const decompressed = LZString.decompressFromBase64(text);
+    if (!decompressed) {
+      throw new Error("lz64 payload did not decompress");
+    }
+    return decompressed;
+  }
+  if (compression === "base64") {
+    return Buffer.from(text, "base64").toString("utf8");
+  }
+  return text;
+}
+
+// JSON.parse, falling back to base64-encoded JSON (older clients don't always flag it)
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const trimmed = text.trim();
+    if (/^[A-Za-z0-9+/=\s]+$/.test(trimmed)) {
+      return JSON.parse(Buffer.from(trimmed, "base64").toString("utf8"));
+    }
+    throw error;
+  }
+}
+
+// Decode any body posthog-js sends to a capture endpoint: raw JSON (including sendBeacon text/plain),
+// gzip-js, lz64 or base64, sent as the raw body, as a form-encoded `data=` field, or as ?data= on GET
+export function decodeCapturePayload({ rawBody, headers = {}, query = {} }) {
+  const contentType = headers["content-type"] || "";
+  const contentEncoding = headers["content-encoding"];
+  let compression = query.compression;
+  const details = { contentType, contentEncoding, compression };
+
+  try {
+    let body = decodeContentEncoding(rawBody || Buffer.alloc(0), contentEncoding);
+    let data = body;
+
+    // Form-encoded bodies (and GET requests) carry the payload in a `data` field
+    const bodyText = body.length < 5 || isGzip(body) ? "" : body.subarray(0, 5).toString("latin1");
+    if (contentType.includes("application/x-www-form-urlencoded") || bodyText === "data=") {
+      const form = new URLSearchParams(body.toString("utf8"));
+      data = form.get("data") || "";
+      compression = form.get("compression") || compression;
+    } else if (body.length === 0 && query.data) {
+      data = query.data;
+    }
+
+    details.compression = compression;
+    if (data.length === 0) {
+      return { payload: null, encoding: details };
+    }
+
+    const payload = parseJson(decodeCompression(data, compression));
+    return { payload, encoding: details };
+  } catch (error) {
+    throw new PayloadDecodeError(
+      `Could not decode ${details.compression || details.contentEncoding || "uncompressed"} payload ` +
+        `(${details.contentType || "no content type"}): ${error.message}`,
+      details
+    );
+  }
+}
+
+// The events in a decoded payload: /batch/ bodies wrap them in { batch }, others send one event or an array
+export function extractEvents(payload) {
+  if (Array.isArray(payload)) return payload;
+  if (payload && Array.isArray(payload.batch)) return payload.batch;
+  if (payload && Array.isArray(payload.data)) return payload.data;
+  return payload ? [payload] : [];
+}
@@ -0,0 +1,105 @@
+// rrweb event types, as shown in the monitor
+const SNAPSHOT_TYPE_NAMES = {
+  0: "domContentLoaded",
+  1: "load",
+  2: "full",
+  3: "incremental",
+  4: "meta",
+  5: "custom",
+  6: "plugin",
+};
+
+// How many recent messages a newly opened monitor page is sent
+const HISTORY_SIZE = 500;
+
+// Publishes what the proxy captures to the live monitor page over Server-Sent Events
+class CaptureMonitor {
+  constructor() {
+    this.history = [];
+    this.clients = new Set();
+  }
+
+  publish(message) {
+    const entry = { receivedAt: new Date().toISOString(), ...message };
+    this.history.push(entry);
+    if (this.history.length > HISTORY_SIZE) {
+      this.history.shift();
+    }
+    const frame = `data: ${JSON.stringify(entry)}\n\n`;
+    for (const client of this.clients) {
+      client.write(frame);
+    }
+  }
+
+  // Summarize captured events: names and session/window IDs, never the payloads themselves
+  publishEvents({ behaviorId, events, bytes, encoding, saved }) {
+    this.publish({
+      kind: "events",
+      behaviorId,
+      saved,
+      bytes,
+      encoding,
+      events: events.map((event) => ({
+        event: event.event,
+        sessionId: event.properties?.$session_id || null,
+        windowId: event.properties?.$window_id || null,
+        timestamp: event.timestamp || null,
+      })),
+    });
+  }
+
+  // Summarize a recording chunk: per session/window, how many snapshots of each rrweb type it carries
+  publishRecording({ behaviorId, snapshotEvents, bytes, saved }) {
+    const sessions = new Map();
+    for (const snapshotEvent of snapshotEvents) {
+      const sessionId = snapshotEvent.properties?.$session_id || null;
+      const windowId = snapshotEvent.properties?.$window_id || null;
+      const key = `${sessionId}/${windowId}`;
+      if (!sessions.has(key)) {
+        sessions.set(key, { sessionId, windowId, snapshotTypes: {} });
+      }
+      const summary = sessions.get(key);
+      for (const snapshot of snapshotEvent.properties?.$snapshot_data || []) {
+        const typeName = SNAPSHOT_TYPE_NAMES[snapshot.type] || `type ${snapshot.type}`;
+        summary.snapshotTypes[typeName] = (summary.snapshotTypes[typeName] || 0) + 1;
+        if (snapshot._decompression_error) {
+          summary.decodeError = snapshot._decompression_error;
+        }
+      }
+    }
+    this.publish({
+      kind: "recording",
+      behaviorId,
+      saved,
+      bytes,
+      sessions: Array.from(sessions.values()),
+    });
+  }
+
+  publishError({ behaviorId, label, message, bytes }) {
+    this.publish({ kind: "error", behaviorId, label, message, bytes });
+  }
+
+  // Express handler for the SSE stream
+  stream(req, res) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    for (const entry of this.history) {
+      res.write(`data: ${JSON.stringify(entry)}\n\n`);
+    }
+    this.clients.add(res);
+
+    // Comment lines keep idle connections from being closed by browsers/proxies
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 15000);
+    heartbeat.unref();
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      this.clients.delete(res);
+    });
+  }
+}
+
+export default CaptureMonitor;
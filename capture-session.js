@@ -0,0 +1,106 @@
+import SessionSplitter from "./session-split.js";
+import { openAppender } from "./recording-format.js";
+
+// Behavior names become file names, so keep them to a safe character set
+export const BEHAVIOR_ID_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+// One behavior being recorded by the proxy: owns the open data/<behavior>-*.jsonl.gz files and their stats.
+// With `split`, every original session/window is written to its own <behavior>.<n> files instead.
+class CaptureSession {
+  constructor({ behaviorId, sessionId = null, dataDir, split = false }) {
+    if (!BEHAVIOR_ID_PATTERN.test(String(behaviorId))) {
+      throw new Error(
+        `Invalid behavior name "${behaviorId}" (use letters, numbers, ".", "_" or "-")`
+      );
+    }
+
+    this.behaviorId = String(behaviorId);
+    this.sessionId = sessionId;
+    this.dataDir = dataDir;
+    this.eventCount = 0;
+    this.recordingChunkCount = 0;
+    this.bytesWritten = 0;
+    this.decodeErrorCount = 0;
+    this.startedAt = new Date();
+    this.stoppedAt = null;
+    this.splitter = split ? new SessionSplitter(this.behaviorId) : null;
+    // behaviorId -> open appenders
+    this.files = new Map();
+
+    if (!this.splitter) {
+      this.filesFor(this.behaviorId);
+    }
+  }
+
+  get active() {
+    return this.stoppedAt === null;
+  }
+
+  // Open the data files of a behavior for appending: restarting a behavior adds to what was already captured
+  filesFor(behaviorId) {
+    if (!this.files.has(behaviorId)) {
+      this.files.set(behaviorId, {
+        events: openAppender(this.dataDir, behaviorId, "events"),
+        recordings: openAppender(this.dataDir, behaviorId, "recordings"),
+      });
+    }
+    return this.files.get(behaviorId);
+  }
+
+  writeEvent(entry) {
+    const targets = this.splitter
+      ? this.splitter.splitEventEntry(entry)
+      : [{ split: this, entry }];
+    for (const target of targets) {
+      this.bytesWritten += this.filesFor(target.split.behaviorId).events.write(target.entry);
+    }
+    // A single capture request can carry a whole batch of events
+    this.eventCount += Array.isArray(entry.data) ? entry.data.length : 1;
+  }
+
+  writeRecording(entry) {
+    const targets = this.splitter
+      ? this.splitter.splitRecordingEntry(entry)
+      : [{ split: this, entry }];
+    for (const target of targets) {
+      this.bytesWritten += this.filesFor(target.split.behaviorId).recordings.write(target.entry);
+    }
+    this.recordingChunkCount++;
+  }
+
+  // Payloads that couldn't be decoded (saved with an `error`, or dropped when redacting)
+  recordDecodeError() {
+    this.decodeErrorCount++;
+  }
+
+  close() {
+    if (!this.active) return;
+    for (const { events, recordings } of this.files.values()) {
+      events.close();
+      recordings.close();
+    }
+    this.stoppedAt = new Date();
+  }
+
+  status() {
+    return {
+      behaviorId: this.behaviorId,
+      sessionId: this.sessionId,
+      status: this.active ? "ACTIVE" : "STOPPED",
+      eventCount: this.eventCount,
+      recordingChunkCount: this.recordingChunkCount,
+      bytesWritten: this.bytesWritten,
+      decodeErrorCount: this.decodeErrorCount,
+      startedAt: this.startedAt.toISOString(),
+      stoppedAt: this.stoppedAt ? this.stoppedAt.toISOString() : null,
+      ...(this.splitter
+        ? { splits: this.splitter.report() }
+        : {
+            eventsFile: this.files.get(this.behaviorId).events.file,
+            recordingsFile: this.files.get(this.behaviorId).recordings.file,
+          }),
+    };
+  }
+}
+
+export default CaptureSession;
@@ -0,0 +1,81 @@
+// Progress of a live run, saved to disk after every session sent, so a run that dies halfway (network
+// errors, Ctrl+C) can continue where it stopped with --resume instead of sending everything again.
+//
+// The file is NDJSON: a header line { format, version, run_id, plan_file, sink, started_at } naming the plan
+// being replayed, then one { session_id, sent_at } line per session whose payloads were all delivered (or
+// saved to the dead-letter file). Lines are appended as sessions finish, so the file stays valid whenever
+// the run stops.
+import fs from "fs";
+import path from "path";
+
+export const CHECKPOINT_FORMAT = "session-replayer-checkpoint";
+export const CHECKPOINT_VERSION = 1;
+
+const appender = (file) => (entry) => fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+
+// Start the checkpoint of a new run, replacing the one of any earlier run
+export function startCheckpoint(file, { runId, planFile, sink }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const header = {
+    format: CHECKPOINT_FORMAT,
+    version: CHECKPOINT_VERSION,
+    run_id: runId,
+    plan_file: planFile,
+    sink,
+    started_at: new Date().toISOString(),
+  };
+  fs.writeFileSync(file, JSON.stringify(header) + "\n");
+  return openCheckpoint(file, header, new Set());
+}
+
+// Read the checkpoint of an earlier run to continue it. Returns its header fields and `done`, the IDs of
+// the sessions already sent.
+export function resumeCheckpoint(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`No checkpoint at ${file}: nothing to resume (checkpoints are saved by live runs)`);
+  }
+  const text = fs.readFileSync(file, "utf8");
+  const [headerLine, ...lines] = text.split("\n");
+  let header;
+  try {
+    header = JSON.parse(headerLine);
+  } catch {
+    header = null;
+  }
+  if (header?.format !== CHECKPOINT_FORMAT) {
+    throw new Error(`${file} is not a session-replayer checkpoint`);
+  }
+  if (header.version > CHECKPOINT_VERSION) {
+    throw new Error(`${file} has checkpoint version ${header.version}, newer than this version supports (${CHECKPOINT_VERSION})`);
+  }
+
+  const done = new Set();
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      done.add(JSON.parse(line).session_id);
+    } catch {
+      // A line cut short when the run was killed: that session wasn't confirmed, so it is sent again
+    }
+  }
+  // New lines must not be appended to a line cut short
+  if (text.length > 0 && !text.endsWith("\n")) fs.appendFileSync(file, "\n");
+  return openCheckpoint(file, header, done);
+}
+
+const openCheckpoint = (file, header, done) => {
+  const append = appender(file);
+  return {
+    file,
+    runId: header.run_id,
+    planFile: header.plan_file,
+    sink: header.sink,
+    startedAt: header.started_at,
+    done,
+    // Confirm a session: it won't be sent again on --resume
+    record(sessionId) {
+      done.add(sessionId);
+      append({ session_id: sessionId, sent_at: new Date().toISOString() });
+    },
+  };
+};
@@ -0,0 +1,138 @@
+import fs from "fs";
+import path from "path";
+import { payloadRecord } from "./sinks.js";
+
+export const DEFAULT_DELIVERY_CONFIG = {
+  // Attempts after the first one for 429s, 5xx responses and network errors
+  retries: 5,
+  base_delay_ms: 500,
+  max_delay_ms: 30000,
+  // Requests per second across all replays (0 = no limit)
+  rate_limit: 10,
+  // Payloads that still failed after all retries, one NDJSON line each (`npm run resend` sends them again)
+  dead_letter_file: "output/dead-letter.ndjson",
+};
+
+// Network errors worth retrying: the request may not have reached the server, or the connection dropped
+const RETRYABLE_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isRetryable = (error) =>
+  error.status !== undefined
+    ? error.status === 429 || error.status >= 500
+    : RETRYABLE_ERROR_CODES.has(error.code);
+
+// Retry-After in ms: either a number of seconds or an HTTP date
+const retryAfterMs = (error) => {
+  const value = error.headers?.["retry-after"];
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Wrap a sink so every payload is awaited, retried with exponential backoff and jitter (or after
+// Retry-After), sent at no more than `rate_limit` requests per second, and written to the dead-letter
+// file when it fails for good. send() never rejects: a failed payload resolves to { failed: true, error }.
+export function createDelivery(sink, config = {}) {
+  const {
+    retries,
+    base_delay_ms: baseDelayMs,
+    max_delay_ms: maxDelayMs,
+    rate_limit: rateLimit,
+    dead_letter_file: deadLetterFile,
+  } = { ...DEFAULT_DELIVERY_CONFIG, ...config };
+
+  const stats = { sent: 0, retried: 0, retries: 0, failed: 0, byEndpoint: {} };
+  const endpointStats = (endpoint) =>
+    (stats.byEndpoint[endpoint] ||= { sent: 0, failed: 0 });
+
+  // Reserve the next request slot synchronously, so concurrent senders share the limit
+  let nextSlotAt = 0;
+  const waitForSlot = async () => {
+    if (!rateLimit) return;
+    const now = Date.now();
+    const slot = Math.max(now, nextSlotAt);
+    nextSlotAt = slot + 1000 / rateLimit;
+    if (slot > now) await sleep(slot - now);
+  };
+
+  const backoffMs = (attempt) => {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  };
+
+  const deadLetter = (payload, error, attempts) => {
+    fs.mkdirSync(path.dirname(deadLetterFile), { recursive: true });
+    fs.appendFileSync(
+      deadLetterFile,
+      JSON.stringify({
+        failedAt: new Date().toISOString(),
+        error: error.message,
+        status: error.status ?? null,
+        attempts,
+        payload: { ...payloadRecord(payload), headers: payload.headers },
+      }) + "\n"
+    );
+  };
+
+  const send = async (payload) => {
+    for (let attempt = 0; ; attempt++) {
+      await waitForSlot();
+      try {
+        const response = await sink.send(payload);
+        stats.sent++;
+        endpointStats(payload.endpoint).sent++;
+        if (attempt > 0) stats.retried++;
+        return response;
+      } catch (error) {
+        if (attempt < retries && isRetryable(error)) {
+          const delay = retryAfterMs(error) ?? backoffMs(attempt);
+          stats.retries++;
+          console.warn(
+            `⚠️  ${payload.endpoint} failed (${error.message.slice(0, 200)}), retry ${attempt + 1}/${retries} in ${(delay / 1000).toFixed(1)}s`
+          );
+          await sleep(delay);
+          continue;
+        }
+
+        stats.failed++;
+        endpointStats(payload.endpoint).failed++;
+        deadLetter(payload, error, attempt + 1);
+        console.error(
+          `❌ ${payload.endpoint} failed after ${attempt + 1} attempt(s): ${error.message.slice(0, 200)} (saved to ${deadLetterFile})`
+        );
+        return { status: error.status ?? null, failed: true, error: error.message };
+      }
+    }
+  };
+
+  const summary = () => ({ ...stats, deadLetterFile });
+
+  const printSummary = () => {
+    console.log(
+      `\n📦 Delivery to ${sink.description}: ${stats.sent} payload(s) sent` +
+        (stats.retried ? ` (${stats.retried} after ${stats.retries} retries)` : "") +
+        `, ${stats.failed} failed`
+    );
+    for (const [endpoint, { sent, failed }] of Object.entries(stats.byEndpoint)) {
+      console.log(`   ${endpoint.padEnd(8)} ${sent} sent, ${failed} failed`);
+    }
+    if (stats.failed) {
+      console.log(`   Failed payloads are in ${deadLetterFile}, send them again with: npm run resend`);
+    }
+  };
+
+  return { description: sink.description, send, summary, printSummary };
+}
@@ -0,0 +1,317 @@
+import { stableRandom } from "./property-rules.js";
+
+// Devices and their operating systems, with how common each OS is on that device type, typical screen
+// sizes and how much of the screen the browser UI (and taskbar) takes
+const DEVICE_TYPES = {
+  Desktop: {
+    browserChrome: 130,
+    os: [
+      { name: "Windows", version: "10", weight: 0.6, token: "Windows NT 10.0; Win64; x64", screens: [[1920, 1080], [1366, 768], [1536, 864], [2560, 1440]] },
+      { name: "Mac OS X", version: "10.15.7", weight: 0.35, token: "Macintosh; Intel Mac OS X 10_15_7", screens: [[1440, 900], [1512, 982], [1728, 1117], [2560, 1440]] },
+      { name: "Linux", version: "", weight: 0.05, token: "X11; Linux x86_64", screens: [[1920, 1080], [2560, 1440]] },
+    ],
+  },
+  Mobile: {
+    browserChrome: 150,
+    os: [
+      { name: "iOS", version: "18.6", weight: 0.55, device: "iPhone", token: "iPhone; CPU iPhone OS 18_6 like Mac OS X", screens: [[390, 844], [393, 852], [430, 932]] },
+      { name: "Android", version: "14", weight: 0.45, device: "Android", token: "Linux; Android 14; Pixel 8", screens: [[412, 915], [360, 800], [384, 854]] },
+    ],
+  },
+  Tablet: {
+    browserChrome: 80,
+    os: [
+      { name: "iOS", version: "18.6", weight: 0.7, device: "iPad", token: "iPad; CPU OS 18_6 like Mac OS X", screens: [[820, 1180], [1024, 1366]] },
+      { name: "Android", version: "14", weight: 0.3, device: "Android", token: "Linux; Android 14; SM-X710", screens: [[800, 1280]] },
+    ],
+  },
+};
+
+const chromeUserAgent = ({ token, mobile }) =>
+  `Mozilla/5.0 (${token}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 ${mobile ? "Mobile " : ""}Safari/537.36`;
+
+// Browsers by the name used in `device_profiles.browsers`: the operating systems they run on, the $browser
+// name and version posthog-js reports there, and their User-Agent
+const BROWSERS = {
+  Chrome: {
+    os: ["Windows", "Mac OS X", "Linux", "Android", "iOS"],
+    name: (os) => (os === "iOS" ? "Chrome iOS" : "Chrome"),
+    version: 140,
+    userAgent: (platform) =>
+      platform.os === "iOS"
+        ? `Mozilla/5.0 (${platform.token}) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/140.0.7339.122 Mobile/15E148 Safari/604.1`
+        : chromeUserAgent(platform),
+  },
+  Safari: {
+    os: ["Mac OS X", "iOS"],
+    name: (os) => (os === "iOS" ? "Mobile Safari" : "Safari"),
+    version: 18.6,
+    userAgent: (platform) =>
+      platform.os === "iOS"
+        ? `Mozilla/5.0 (${platform.token}) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.6 Mobile/15E148 Safari/604.1`
+        : `Mozilla/5.0 (${platform.token}) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.6 Safari/605.1.15`,
+  },
+  Firefox: {
+    os: ["Windows", "Mac OS X", "Linux"],
+    name: () => "Firefox",
+    version: 143,
+    userAgent: (platform) =>
+      `Mozilla/5.0 (${platform.token.replace("10_15_7", "10.15")}; rv:143.0) Gecko/20100101 Firefox/143.0`,
+  },
+  "Microsoft Edge": {
+    os: ["Windows", "Mac OS X"],
+    name: () => "Microsoft Edge",
+    version: 140,
+    userAgent: (platform) => `${chromeUserAgent(platform)} Edg/140.0.0.0`,
+  },
+  "Samsung Internet": {
+    os: ["Android"],
+    name: () => "Samsung Internet",
+    version: 28,
+    userAgent: (platform) =>
+      `Mozilla/5.0 (${platform.token}) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/28.0 Chrome/130.0.0.0 ${platform.mobile ? "Mobile " : ""}Safari/537.36`,
+  },
+};
+
+// What each OS falls back to when none of the configured browsers runs on it
+const DEFAULT_BROWSER_FOR_OS = {
+  Windows: "Chrome",
+  "Mac OS X": "Safari",
+  Linux: "Firefox",
+  Android: "Chrome",
+  iOS: "Safari",
+};
+
+const DEFAULT_DEVICE_TYPES = { Desktop: 0.6, Mobile: 0.35, Tablet: 0.05 };
+const DEFAULT_BROWSERS = { Chrome: 0.65, Safari: 0.2, "Microsoft Edge": 0.08, Firefox: 0.05, "Samsung Internet": 0.02 };
+
+// Countries by ISO code, with a few cities each, for the $geoip_* properties
+const COUNTRIES = {
+  US: {
+    name: "United States", continent: ["NA", "North America"], language: "en-US",
+    cities: [
+      { name: "New York", subdivision: ["NY", "New York"], postal_code: "10001", latitude: 40.7128, longitude: -74.006, time_zone: "America/New_York" },
+      { name: "San Francisco", subdivision: ["CA", "California"], postal_code: "94103", latitude: 37.7749, longitude: -122.4194, time_zone: "America/Los_Angeles" },
+      { name: "Chicago", subdivision: ["IL", "Illinois"], postal_code: "60601", latitude: 41.8781, longitude: -87.6298, time_zone: "America/Chicago" },
+    ],
+  },
+  CA: {
+    name: "Canada", continent: ["NA", "North America"], language: "en-CA",
+    cities: [{ name: "Toronto", subdivision: ["ON", "Ontario"], postal_code: "M5H", latitude: 43.6532, longitude: -79.3832, time_zone: "America/Toronto" }],
+  },
+  BR: {
+    name: "Brazil", continent: ["SA", "South America"], language: "pt-BR",
+    cities: [{ name: "São Paulo", subdivision: ["SP", "São Paulo"], postal_code: "01000-000", latitude: -23.5505, longitude: -46.6333, time_zone: "America/Sao_Paulo" }],
+  },
+  GB: {
+    name: "United Kingdom", continent: ["EU", "Europe"], language: "en-GB",
+    cities: [
+      { name: "London", subdivision: ["ENG", "England"], postal_code: "EC1A", latitude: 51.5074, longitude: -0.1278, time_zone: "Europe/London" },
+      { name: "Manchester", subdivision: ["ENG", "England"], postal_code: "M1", latitude: 53.4808, longitude: -2.2426, time_zone: "Europe/London" },
+    ],
+  },
+  DE: {
+    name: "Germany", continent: ["EU", "Europe"], language: "de-DE",
+    cities: [
+      { name: "Berlin", subdivision: ["BE", "Land Berlin"], postal_code: "10115", latitude: 52.52, longitude: 13.405, time_zone: "Europe/Berlin" },
+      { name: "Munich", subdivision: ["BY", "Bavaria"], postal_code: "80331", latitude: 48.1351, longitude: 11.582, time_zone: "Europe/Berlin" },
+    ],
+  },
+  FR: {
+    name: "France", continent: ["EU", "Europe"], language: "fr-FR",
+    cities: [{ name: "Paris", subdivision: ["IDF", "Île-de-France"], postal_code: "75001", latitude: 48.8566, longitude: 2.3522, time_zone: "Europe/Paris" }],
+  },
+  NL: {
+    name: "Netherlands", continent: ["EU", "Europe"], language: "nl-NL",
+    cities: [{ name: "Amsterdam", subdivision: ["NH", "North Holland"], postal_code: "1012", latitude: 52.3676, longitude: 4.9041, time_zone: "Europe/Amsterdam" }],
+  },
+  ES: {
+    name: "Spain", continent: ["EU", "Europe"], language: "es-ES",
+    cities: [{ name: "Madrid", subdivision: ["MD", "Madrid"], postal_code: "28001", latitude: 40.4168, longitude: -3.7038, time_zone: "Europe/Madrid" }],
+  },
+  IN: {
+    name: "India", continent: ["AS", "Asia"], language: "en-IN",
+    cities: [{ name: "Bengaluru", subdivision: ["KA", "Karnataka"], postal_code: "560001", latitude: 12.9716, longitude: 77.5946, time_zone: "Asia/Kolkata" }],
+  },
+  JP: {
+    name: "Japan", continent: ["AS", "Asia"], language: "ja-JP",
+    cities: [{ name: "Tokyo", subdivision: ["13", "Tokyo"], postal_code: "100-0001", latitude: 35.6762, longitude: 139.6503, time_zone: "Asia/Tokyo" }],
+  },
+  SG: {
+    name: "Singapore", continent: ["AS", "Asia"], language: "en-SG",
+    cities: [{ name: "Singapore", subdivision: ["01", "Central Singapore"], postal_code: "018956", latitude: 1.3521, longitude: 103.8198, time_zone: "Asia/Singapore" }],
+  },
+  AU: {
+    name: "Australia", continent: ["OC", "Oceania"], language: "en-AU",
+    cities: [{ name: "Sydney", subdivision: ["NSW", "New South Wales"], postal_code: "2000", latitude: -33.8688, longitude: 151.2093, time_zone: "Australia/Sydney" }],
+  },
+};
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Pick a key of { key: weight } with a roll in [0, 1)
+function pickWeighted(weights, roll) {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let threshold = roll * total;
+  for (const [key, weight] of entries) {
+    threshold -= weight;
+    if (threshold < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+}
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+};
+
+// Check `device_profiles` of generation-config.json (global or per persona): shares of device types,
+// browsers, countries and referrers, each { "<name>": <weight> }
+export function validateDeviceProfiles(deviceProfiles, where = "device_profiles") {
+  if (deviceProfiles === undefined) return;
+  if (!isObject(deviceProfiles)) {
+    throw new Error(`${where} must be an object`);
+  }
+  const known = {
+    device_types: Object.keys(DEVICE_TYPES),
+    browsers: Object.keys(BROWSERS),
+    countries: Object.keys(COUNTRIES),
+    referrers: null,
+  };
+  for (const [key, shares] of Object.entries(deviceProfiles)) {
+    if (!(key in known)) {
+      throw new Error(`${where}.${key} is unknown (use ${Object.keys(known).join(", ")})`);
+    }
+    if (!isObject(shares) || Object.keys(shares).length === 0) {
+      throw new Error(`${where}.${key} must be an object of names to shares, e.g. { "${known[key]?.[0] ?? "$direct"}": 1 }`);
+    }
+    for (const [name, share] of Object.entries(shares)) {
+      if (known[key] && !known[key].includes(name)) {
+        throw new Error(`${where}.${key}: unknown "${name}" (use ${known[key].join(", ")})`);
+      }
+      if (typeof share !== "number" || share < 0) {
+        throw new Error(`${where}.${key}.${name} must be a share of 0 or more`);
+      }
+    }
+    if (!Object.values(shares).some((share) => share > 0)) {
+      throw new Error(`${where}.${key} needs at least one share above 0`);
+    }
+  }
+}
+
+// The device, browser, location and referrer of a generated user, picked from the `device_profiles`
+// shares and always the same for a user. Parts without shares configured are left as recorded: device
+// and browser when neither `device_types` nor `browsers` is set, location without `countries`, referrers
+// without `referrers`. Returns null when nothing is configured.
+export function pickDeviceProfile(user, deviceProfiles = {}) {
+  const { device_types: deviceTypes, browsers, countries, referrers } = deviceProfiles;
+  if (!deviceTypes && !browsers && !countries && !referrers) return null;
+  const roll = (key) => stableRandom(`${user.id}\0device:${key}`);
+  const profile = { properties: {} };
+
+  if (deviceTypes || browsers) {
+    const deviceType = pickWeighted(deviceTypes || DEFAULT_DEVICE_TYPES, roll("type"));
+    const { browserChrome, os: systems } = DEVICE_TYPES[deviceType];
+    const osName = pickWeighted(Object.fromEntries(systems.map(({ name, weight }) => [name, weight])), roll("os"));
+    const os = systems.find(({ name }) => name === osName);
+    const [width, height] = os.screens[Math.floor(roll("screen") * os.screens.length)];
+
+    const browserShares = Object.fromEntries(
+      Object.entries(browsers || DEFAULT_BROWSERS).filter(([name]) => BROWSERS[name].os.includes(os.name))
+    );
+    const browserName = Object.values(browserShares).some((share) => share > 0)
+      ? pickWeighted(browserShares, roll("browser"))
+      : DEFAULT_BROWSER_FOR_OS[os.name];
+    const browser = BROWSERS[browserName];
+
+    profile.userAgent = browser.userAgent({ os: os.name, token: os.token, mobile: deviceType === "Mobile" });
+    profile.viewport = { width, height: height - browserChrome };
+    profile.properties = {
+      $browser: browser.name(os.name),
+      $browser_version: browser.version,
+      $os: os.name,
+      $os_version: os.version,
+      $device_type: deviceType,
+      $device: os.device,
+      $screen_width: width,
+      $screen_height: height,
+      $viewport_width: profile.viewport.width,
+      $viewport_height: profile.viewport.height,
+      $raw_user_agent: profile.userAgent,
+    };
+    profile.description = `${profile.properties.$browser} ${browser.version} on ${os.name} (${deviceType}, ${width}×${height})`;
+  }
+
+  if (countries) {
+    const code = pickWeighted(countries, roll("country"));
+    const country = COUNTRIES[code];
+    const city = country.cities[Math.floor(roll("city") * country.cities.length)];
+    profile.location = { time_zone: city.time_zone, language: country.language };
+    Object.assign(profile.properties, {
+      $geoip_city_name: city.name,
+      $geoip_country_name: country.name,
+      $geoip_country_code: code,
+      $geoip_continent_code: country.continent[0],
+      $geoip_continent_name: country.continent[1],
+      $geoip_subdivision_1_code: city.subdivision[0],
+      $geoip_subdivision_1_name: city.subdivision[1],
+      $geoip_postal_code: city.postal_code,
+      $geoip_latitude: city.latitude,
+      $geoip_longitude: city.longitude,
+      $geoip_time_zone: city.time_zone,
+      // keep PostHog from looking up the sender's IP instead
+      $geoip_disable: true,
+    });
+    profile.description = [profile.description, `${city.name}, ${code}`].filter(Boolean).join(", ");
+  }
+
+  if (referrers) {
+    profile.referrer = pickWeighted(referrers, roll("referrer"));
+    profile.description = [profile.description, `via ${profile.referrer}`].filter(Boolean).join(", ");
+  }
+
+  return profile;
+}
+
+// Rewrite one PostHog event in place so it looks captured on the profile's device and location: the
+// device, browser and $geoip_* properties, the $initial_* copies of them (also in $set / $set_once), the
+// time zone and language, and the referrer where it points outside the app ($direct or another site).
+export function applyDeviceProfile(event, profile) {
+  const properties = event?.properties;
+  if (!profile || !properties) return event;
+
+  const values = { ...profile.properties };
+  if (profile.location) {
+    if ("$timezone" in properties) values.$timezone = profile.location.time_zone;
+    if ("$browser_language" in properties) values.$browser_language = profile.location.language;
+  }
+  if (profile.referrer) {
+    const appHost = hostOf(properties.$current_url);
+    const external = (url) => url === "$direct" || !hostOf(url) || hostOf(url) !== appHost;
+    const referrer = { $referrer: profile.referrer, $referring_domain: hostOf(profile.referrer) || profile.referrer };
+    if ("$referrer" in properties && external(properties.$referrer)) Object.assign(values, referrer);
+    values.$initial_referrer = referrer.$referrer;
+    values.$initial_referring_domain = referrer.$referring_domain;
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    if (!key.startsWith("$initial_") && value !== undefined) properties[key] = value;
+  }
+  // desktop browsers don't report a $device
+  if (profile.properties.$device_type && !profile.properties.$device) delete properties.$device;
+
+  // $initial_* copies are only rewritten where the event has them
+  for (const target of [properties, properties.$set, properties.$set_once]) {
+    if (!isObject(target)) continue;
+    for (const key of Object.keys(target)) {
+      if (!key.startsWith("$initial_")) continue;
+      const value = values[key] ?? values[`$${key.slice("$initial_".length)}`];
+      if (value !== undefined) target[key] = value;
+    }
+  }
+  return event;
+}
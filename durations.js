@@ -0,0 +1,19 @@
+// Durations as written in generation-config.json and on the command line
+
+// Parse "1500ms", "20s", "1m30s" or a bare number of seconds into ms
+export function parseDuration(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (/^\d+(\.\d+)?$/.test(String(value))) return Number(value) * 1000;
+
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  let total = 0;
+  let matched = "";
+  for (const [part, amount, unit] of String(value).matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h)/g)) {
+    total += Number(amount) * units[unit];
+    matched += part;
+  }
+  if (matched !== String(value)) {
+    throw new Error(`Invalid duration "${value}" (use e.g. 1500ms, 20s, 1m30s)`);
+  }
+  return total;
+}
@@ -0,0 +1,102 @@
+// Edit a captured behavior (recordings and events together) into a new behavior:
+//   npm run edit -- --name signin --out signin-short --start 20s --end 2m --max-idle 5s \
+//     --drop-event '$pageleave' --drop-where '$event_type=change'
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
+import { editBehavior } from "./recording-editor.js";
+import { parseDuration } from "./durations.js";
+import { findDataFile, readBehavior, writeBehavior } from "./recording-format.js";
+import { BEHAVIOR_ID_PATTERN } from "./capture-session.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const dataDir = path.join(__dirname, "data");
+
+// All values given for a (repeatable) flag
+const argValues = (flag) =>
+  process.argv.flatMap((arg, index) =>
+    arg === flag && process.argv[index + 1] !== undefined ? [process.argv[index + 1]] : []
+  );
+const argValue = (flag) => argValues(flag)[0];
+
+const usage = () => {
+  console.error(
+    [
+      "Usage: npm run edit -- --name <behavior> [--out <behavior>] [options]",
+      "",
+      "  --start <duration>      drop everything before this point (from the recording start)",
+      "  --end <duration>        drop everything after this point (from the recording start)",
+      "  --max-idle <duration>   shorten idle gaps longer than this",
+      "  --drop-event <name>     drop events with this name (repeatable)",
+      "  --drop-where <p>=<v>    drop events whose property p equals v, e.g. $set.plan=pro (repeatable)",
+      "  --dry-run               only print what would change",
+      "",
+      "Durations: 1500ms, 20s, 1m30s or a number of seconds. --out defaults to <behavior>-edited.",
+    ].join("\n")
+  );
+  process.exit(1);
+};
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+const behaviorId = argValue("--name") || argValue("-n");
+if (!behaviorId) usage();
+const outputId = argValue("--out") || `${behaviorId}-edited`;
+if (!BEHAVIOR_ID_PATTERN.test(outputId)) {
+  console.error(`❌ Invalid output behavior name "${outputId}"`);
+  process.exit(1);
+}
+
+try {
+  if (!findDataFile(dataDir, behaviorId, "recordings")) {
+    throw new Error(`No recordings found for behavior "${behaviorId}" in ${dataDir}`);
+  }
+
+  const dropWhere = argValues("--drop-where").map((filter) => {
+    const separator = filter.indexOf("=");
+    if (separator <= 0) {
+      throw new Error(`Invalid --drop-where "${filter}" (expected property=value)`);
+    }
+    return { path: filter.slice(0, separator), value: filter.slice(separator + 1) };
+  });
+
+  const { recordings, events, report } = editBehavior(
+    {
+      recordings: readBehavior(dataDir, behaviorId, "recordings"),
+      events: readBehavior(dataDir, behaviorId, "events"),
+    },
+    {
+      start: parseDuration(argValue("--start")),
+      end: parseDuration(argValue("--end")),
+      maxIdle: parseDuration(argValue("--max-idle")),
+      dropEvents: argValues("--drop-event"),
+      dropWhere,
+    }
+  );
+
+  console.log(`✂️  ${behaviorId} -> ${outputId}`);
+  console.log(
+    `   Duration:  ${formatSeconds(report.durationBefore)} -> ${formatSeconds(report.durationAfter)}` +
+      (report.idleGapsCompressed ? ` (${report.idleGapsCompressed} idle gaps compressed)` : "")
+  );
+  console.log(
+    `   Snapshots: ${report.snapshotsBefore} -> ${report.snapshotsAfter}` +
+      (report.carriedOver ? ` (${report.carriedOver} moved to the new start to keep a full snapshot)` : "")
+  );
+  console.log(
+    `   Events:    ${report.eventsBefore} -> ${report.eventsAfter}` +
+      (report.droppedByFilter ? ` (${report.droppedByFilter} dropped by filters)` : "")
+  );
+
+  if (process.argv.includes("--dry-run")) {
+    console.log("📊 Dry run: nothing written");
+  } else {
+    writeBehavior(dataDir, outputId, "recordings", recordings);
+    writeBehavior(dataDir, outputId, "events", events);
+    console.log(`✅ Saved data/${outputId}-recordings.jsonl.gz and data/${outputId}-events.jsonl.gz`);
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,146 @@
+import { stableRandom } from "./property-rules.js";
+import { sessionPropertiesOf } from "./person-identity.js";
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// The possible values of a `feature_flags` entry, each { value, share, conversion }:
+//   { "variants": { "control": 0.5, "test": { "share": 0.5, "conversion": { "<recording>": 1.5 } } } }
+//   { "rollout": 0.3, "conversion": { "<recording>": 1.5 } }   true for 30% of users (conversion applies to them)
+function variantsOf(flag) {
+  if (flag.variants !== undefined) {
+    return Object.entries(flag.variants).map(([value, variant]) =>
+      typeof variant === "number"
+        ? { value, share: variant, conversion: {} }
+        : { value, share: variant.share, conversion: variant.conversion || {} }
+    );
+  }
+  return [
+    { value: true, share: flag.rollout, conversion: flag.conversion || {} },
+    { value: false, share: 1 - flag.rollout, conversion: {} },
+  ];
+}
+
+const checkConversion = (conversion, where, { recordingIds, boostableIds }) => {
+  if (conversion === undefined) return;
+  if (!isObject(conversion)) {
+    throw new Error(`${where} must be an object of recording IDs to factors, e.g. { "checkout": 1.5 }`);
+  }
+  for (const [recordingId, factor] of Object.entries(conversion)) {
+    if (recordingIds && !recordingIds.includes(recordingId)) {
+      throw new Error(`${where}: no persona plays a recording "${recordingId}"`);
+    }
+    if (typeof factor !== "number" || factor < 0) {
+      throw new Error(`${where}.${recordingId} must be a factor of 0 or more`);
+    }
+    if (factor > 1 && boostableIds && !boostableIds.includes(recordingId)) {
+      throw new Error(
+        `${where}.${recordingId}: a factor above 1 has no effect, ${recordingId} is always played when a visit ` +
+          `reaches it (give it a "probability" below 1, or put it in a persona's "journey")`
+      );
+    }
+  }
+};
+
+// Check `feature_flags` of generation-config.json up front. recordingIds are the recordings the personas
+// play, so a conversion modifier can't silently point at nothing, and boostableIds those a factor above 1
+// can make more likely (played with a probability below 1, or part of a journey), so it can't silently do
+// nothing.
+export function validateFeatureFlags(featureFlags, { recordingIds, boostableIds } = {}) {
+  if (featureFlags === undefined) return;
+  if (!isObject(featureFlags)) {
+    throw new Error("feature_flags must be an object of flag keys to flags");
+  }
+  for (const [key, flag] of Object.entries(featureFlags)) {
+    const where = `feature_flags.${key}`;
+    if (!isObject(flag) || (flag.variants === undefined) === (flag.rollout === undefined)) {
+      throw new Error(`${where} needs exactly one of "variants" or "rollout"`);
+    }
+    if (flag.rollout !== undefined) {
+      if (typeof flag.rollout !== "number" || flag.rollout < 0 || flag.rollout > 1) {
+        throw new Error(`${where}.rollout must be from 0 to 1`);
+      }
+      checkConversion(flag.conversion, `${where}.conversion`, { recordingIds, boostableIds });
+      continue;
+    }
+    if (!isObject(flag.variants) || Object.keys(flag.variants).length === 0) {
+      throw new Error(`${where}.variants must be an object of variant keys to shares`);
+    }
+    for (const [value, variant] of Object.entries(flag.variants)) {
+      const share = typeof variant === "number" ? variant : variant?.share;
+      if (typeof share !== "number" || share < 0) {
+        throw new Error(`${where}.variants.${value} must be a share, or { "share", "conversion" }`);
+      }
+      if (typeof variant !== "number") {
+        checkConversion(variant.conversion, `${where}.variants.${value}.conversion`, { recordingIds, boostableIds });
+      }
+    }
+    if (!variantsOf(flag).some(({ share }) => share > 0)) {
+      throw new Error(`${where}.variants needs at least one share above 0`);
+    }
+  }
+}
+
+// The flag values of a generated user, { "<flag>": "<variant>" | true | false }, always the same for a user
+export function assignFeatureFlags(user, featureFlags = {}) {
+  return Object.fromEntries(
+    Object.entries(featureFlags).map(([key, flag]) => {
+      const variants = variantsOf(flag);
+      const total = variants.reduce((sum, { share }) => sum + share, 0);
+      let threshold = stableRandom(`${user.id}\0flag:${key}`) * total;
+      const picked = variants.find(({ share }) => share > 0 && (threshold -= share) < 0);
+      return [key, (picked || variants.filter(({ share }) => share > 0).pop()).value];
+    })
+  );
+}
+
+// How much more (or less) likely a user with these flag values is to play a recording: the product of the
+// conversion modifiers of their variants
+export function conversionFactor(featureFlags = {}, assignments, recordingId) {
+  return Object.entries(featureFlags).reduce((factor, [key, flag]) => {
+    const variant = variantsOf(flag).find(({ value }) => value === assignments[key]);
+    return factor * (variant?.conversion[recordingId] ?? 1);
+  }, 1);
+}
+
+// Make the replayed events of one session show the user's flag values: every event gets the
+// $feature/<flag> properties and $active_feature_flags, captured $feature_flag_called events return the
+// user's value, and flags the recording never called get a $feature_flag_called (the experiment
+// exposure) just before the first event. Events must be in time order. Returns the (possibly longer) list.
+export function applyFeatureFlags(events, assignments) {
+  const keys = Object.keys(assignments);
+  if (keys.length === 0) return events;
+
+  const enabled = keys.filter((key) => assignments[key] !== false);
+  const called = new Set();
+  for (const event of events) {
+    const properties = event.properties;
+    if (!properties) continue;
+    for (const key of keys) {
+      properties[`$feature/${key}`] = assignments[key];
+    }
+    properties.$active_feature_flags = [
+      ...(properties.$active_feature_flags || []).filter((key) => !keys.includes(key)),
+      ...enabled,
+    ];
+    if (event.event === "$feature_flag_called" && keys.includes(properties.$feature_flag)) {
+      properties.$feature_flag_response = assignments[properties.$feature_flag];
+      called.add(properties.$feature_flag);
+    }
+  }
+
+  const first = events.find((event) => event.properties && event.timestamp);
+  if (!first) return events;
+  const exposures = keys
+    .filter((key) => !called.has(key))
+    .map((key) => ({
+      event: "$feature_flag_called",
+      timestamp: new Date(Date.parse(first.timestamp) - 1).toISOString(),
+      properties: {
+        ...sessionPropertiesOf(first),
+        distinct_id: first.properties.distinct_id,
+        $feature_flag: key,
+        $feature_flag_response: assignments[key],
+      },
+    }));
+  return [...exposures, ...events];
+}
@@ -0,0 +1,168 @@
+// Journeys: which recordings a persona's visit plays, and in what order. A persona's `journey` is a
+// Markov-style model over its session recordings, so simulated funnels, paths and drop-off follow real
+// product behavior:
+//   "journey": {
+//     "entry": { "new": { "signup": 1 }, "returning": { "signin": 0.7, "dashboard": 0.3 } },
+//     "transitions": {
+//       "signup": { "onboarding": 0.8, "$exit": 0.2 },
+//       "dashboard": { "checkout": 0.3, "dashboard": 0.1, "$exit": 0.6 },
+//       ...
+//     },
+//     "max_length": 10
+//   }
+// Weights are relative (they don't need to add up to 1), `$exit` ends the visit. Personas without a
+// journey play their `sessions` in order: from the first one for new users, the second one for returning
+// users, up to a random number of them.
+
+// What a transition to `$exit` leads to
+export const EXIT = "$exit";
+// The most recordings one visit plays, unless `max_length` says otherwise (journeys can loop)
+export const DEFAULT_MAX_LENGTH = 10;
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Returns null when no weight is above 0
+function pickWeighted(weights, roll) {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  if (entries.length === 0) return null;
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let threshold = roll * total;
+  for (const [key, weight] of entries) {
+    threshold -= weight;
+    if (threshold < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+}
+
+// The entry weights for new and returning users (returning users enter like new ones unless set)
+const entriesOf = (journey) => ({
+  new: journey.entry.new,
+  returning: journey.entry.returning ?? journey.entry.new,
+});
+
+// Next recordings with a weight above 0 (without `$exit`)
+const nextOf = (weights = {}) => Object.keys(weights).filter((key) => key !== EXIT && weights[key] > 0);
+
+// Check the `journey` of a persona up front: weights must point at its recordings, and every recording must
+// be reachable from an entry and lead to an exit, so no recording is silently never played and no visit
+// can only end by running into `max_length`
+export function validateJourney(persona) {
+  const journey = persona.journey;
+  if (journey === undefined) return;
+  const where = `${persona.name}.journey`;
+  const recordingIds = persona.sessions.map((session) => session.id);
+
+  const checkWeights = (weights, at, { exit }) => {
+    if (!isObject(weights)) {
+      throw new Error(`${at} must be an object of recording IDs to weights, e.g. { "${recordingIds[0]}": 1 }`);
+    }
+    for (const [key, weight] of Object.entries(weights)) {
+      if (!(recordingIds.includes(key) || (exit && key === EXIT))) {
+        throw new Error(`${at}: "${key}" is not a session recording of ${persona.name}${exit ? ` (or "${EXIT}")` : ""}`);
+      }
+      if (typeof weight !== "number" || weight < 0) {
+        throw new Error(`${at}.${key} must be a weight of 0 or more`);
+      }
+    }
+    if (!Object.values(weights).some((weight) => weight > 0)) {
+      throw new Error(`${at} needs at least one weight above 0`);
+    }
+  };
+
+  if (!isObject(journey) || !isObject(journey.entry) || !isObject(journey.transitions)) {
+    throw new Error(`${where} needs "entry" ({ "new", "returning" }) and "transitions"`);
+  }
+  for (const key of Object.keys(journey.entry)) {
+    if (key !== "new" && key !== "returning") {
+      throw new Error(`${where}.entry: unknown "${key}", expected "new" and "returning"`);
+    }
+  }
+  checkWeights(journey.entry.new, `${where}.entry.new`, { exit: false });
+  if (journey.entry.returning !== undefined) {
+    checkWeights(journey.entry.returning, `${where}.entry.returning`, { exit: false });
+  }
+  for (const [recordingId, weights] of Object.entries(journey.transitions)) {
+    if (!recordingIds.includes(recordingId)) {
+      throw new Error(`${where}.transitions: "${recordingId}" is not a session recording of ${persona.name}`);
+    }
+    checkWeights(weights, `${where}.transitions.${recordingId}`, { exit: true });
+  }
+  if (journey.max_length !== undefined && !(Number.isInteger(journey.max_length) && journey.max_length >= 1)) {
+    throw new Error(`${where}.max_length must be a whole number of 1 or more`);
+  }
+
+  // Every recording a visit can start with or go to
+  const entries = entriesOf(journey);
+  const reachable = new Set([...nextOf(entries.new), ...nextOf(entries.returning)]);
+  const queue = [...reachable];
+  while (queue.length > 0) {
+    for (const next of nextOf(journey.transitions[queue.shift()])) {
+      if (!reachable.has(next)) {
+        reachable.add(next);
+        queue.push(next);
+      }
+    }
+  }
+  const unreachable = recordingIds.filter((id) => !reachable.has(id));
+  if (unreachable.length > 0) {
+    throw new Error(`${where}: ${unreachable.join(", ")} can never be played (no entry or transition leads there)`);
+  }
+
+  // Dead ends: recordings without transitions, and recordings from which no path leads to `$exit`
+  const withoutTransitions = recordingIds.filter((id) => journey.transitions[id] === undefined);
+  if (withoutTransitions.length > 0) {
+    throw new Error(
+      `${where}: no transitions from ${withoutTransitions.join(", ")} (add { "${EXIT}": 1 } to end visits there)`
+    );
+  }
+  const canExit = new Set(recordingIds.filter((id) => journey.transitions[id][EXIT] > 0));
+  for (let grown = true; grown; ) {
+    grown = false;
+    for (const id of recordingIds) {
+      if (!canExit.has(id) && nextOf(journey.transitions[id]).some((next) => canExit.has(next))) {
+        canExit.add(id);
+        grown = true;
+      }
+    }
+  }
+  const trapped = recordingIds.filter((id) => !canExit.has(id));
+  if (trapped.length > 0) {
+    throw new Error(`${where}: visits reaching ${trapped.join(", ")} can never exit (no path leads to "${EXIT}")`);
+  }
+}
+
+// The recordings one visit of a user plays, as indexes into persona.sessions, in order. `returning` is
+// whether the user had visits before. In a journey, `conversion(recordingId)` (the user's feature flag
+// conversion factor) scales the weights of the entries and transitions leading to that recording.
+export function planVisit(persona, { returning, random, conversion = () => 1 }) {
+  const journey = persona.journey;
+  if (journey === undefined) {
+    // a single visit could combine one or more recordings
+    const sessionsToGenerate = Math.ceil(random() * persona.sessions.length);
+    // new users, or personas with only one recording, start with the first recording (usually signup or
+    // signin)
+    const firstSessionIndex = !returning || persona.sessions.length === 1 ? 0 : 1;
+    const visit = [];
+    for (let i = firstSessionIndex; i < Math.min(persona.sessions.length, sessionsToGenerate); i++) {
+      visit.push(i);
+    }
+    return visit;
+  }
+
+  const indexOf = (recordingId) => persona.sessions.findIndex((session) => session.id === recordingId);
+  const maxLength = journey.max_length ?? DEFAULT_MAX_LENGTH;
+  const pickNext = (weights) =>
+    pickWeighted(
+      Object.fromEntries(
+        Object.entries(weights).map(([key, weight]) => [key, key === EXIT ? weight : weight * conversion(key)])
+      ),
+      random()
+    ) ?? EXIT;
+  const visit = [];
+  let current = pickNext(entriesOf(journey)[returning ? "returning" : "new"]);
+  while (current !== EXIT && visit.length < maxLength) {
+    visit.push(indexOf(current));
+    current = pickNext(journey.transitions[current]);
+  }
+  return visit;
+}
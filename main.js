@@ -1,114 +1,204 @@
 // read generation-config.json
 import config from "./generation-config.json" with { type: "json" };
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
 import ReplaySession from "./replay-session.js";
+import RecordingStore, { DEFAULT_CACHE_BYTES } from "./recording-store.js";
+import { createSink } from "./sinks.js";
+import { createDelivery } from "./delivery.js";
+import { resolvePostHogHost } from "./posthog-host.js";
+import { createProgress, runPool, validateConcurrency } from "./worker-pool.js";
+import { randomSeed } from "./random.js";
+import {
+  createPlan,
+  formatPlanSummary,
+  planJobs,
+  readPlan,
+  recordingStatsOf,
+  runIdOf,
+  summarizePlan,
+  writePlan,
+} from "./plan.js";
+import { resumeCheckpoint, startCheckpoint } from "./checkpoint.js";
 
-const generateUsers = async (count, startId = 0) => {
-  const users = [];
-  for (let i = 0; i < count; i++) {
-    users.push({
-      id: `user-${startId + i}`,
-      name: `User ${startId + i}`,
-      email: `user-${startId + i}@example.com`,
-      churned: false,
-      session_count: 0,
-      persona: (() => {
-        // Weighted selection based on user_share
-        const r = Math.random();
-        let acc = 0;
-        for (let j = 0; j < config.personas.length; j++) {
-          acc += config.personas[j].user_share;
-          if (r < acc) return config.personas[j].name;
-        }
-        // fallback (shouldn't happen if shares sum to 1)
-        return config.personas[config.personas.length - 1].name;
-      })(),
-    });
-  }
-  return users;
-};
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
 
-const getWeekdayOrWeekendDAU = (date, dau) => {
-    // If the day is Saturday (6) or Sunday (0), reduce DAU to ~10% of target with ±5% random variance
-    let isWeekend = date.getDay() === 0 || date.getDay() === 6;
-    let weekendVariance = 0.1 + (Math.random() * 0.1 - 0.05); // 0.05 to 0.15
-    let weekendDau = isWeekend && Math.max(1, Math.round(dau * weekendVariance));
-    return weekendDau || dau;
-}
+// Each captured behavior is parsed once and shared by all replays, in the dry run and the live run.
+// `recording_cache_mb` bounds how much stays in memory.
+const recordingStore = new RecordingStore({
+  dataDir: path.join(__dirname, "data"),
+  maxBytes: config.recording_cache_mb ? config.recording_cache_mb * 1024 * 1024 : DEFAULT_CACHE_BYTES,
+});
 
-const dailySignups = async (currentTotalUsers) => {
-    // Add new users with variance: positive swings can be large, negative small
-    const variance = (Math.random() < 0.7) ? Math.random() * 0.005 : -(Math.random() * 0.01);
-    const signupCount = Math.ceil(currentTotalUsers * (config.daily_signups_growth + variance));
-    console.log(`Signups for the day (with variance): ${signupCount}`);
+// Where the dry run writes the payloads it would have sent, unless --sink-file / sink.file says otherwise
+const DRY_RUN_FILE = "output/dry-run.ndjson";
+// Where a new plan is saved, unless --plan says otherwise
+const PLAN_FILE = "output/plan.json";
+// Where live runs save their progress for --resume, unless --checkpoint says otherwise
+const CHECKPOINT_FILE = "output/checkpoint.ndjson";
 
-    return generateUsers(signupCount, currentTotalUsers);
-}
+const argValue = (flag) => {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
 
-const replaySession = async (recordingId, userId, sessionId, timestamp, dryRun) => {
-  console.log(`Replaying session ${sessionId} for user ${userId} with recording ${recordingId} at ${timestamp}`);
+// Every random choice of a plan comes from this seed (--seed, else `seed` in generation-config.json, else a
+// new one), so the same seed, config and recordings give exactly the same users, sessions and payloads
+const seed = String(argValue("--seed") ?? config.seed ?? randomSeed());
+
+const replaySession = async (recordingId, user, sessionId, timestamp, sink, { timing, propertyRules, personProperties, deviceProfiles, featureFlags, runId, random }) => {
+  console.log(`Replaying session ${sessionId} for user ${user.id} with recording ${recordingId} at ${timestamp}`);
   const replaySession = new ReplaySession({
     recordingId,
-    userId,
+    targetHost: config.posthog_host,
+    region: config.posthog_region,
+    userId: user.id,
+    user,
     sessionId,
     timestamp,
+    timing,
+    propertyRules,
+    personProperties,
+    deviceProfiles,
+    featureFlags,
+    runId,
+    random,
+    sink,
+    payloadLimits: config.payload_limits,
+    store: recordingStore,
   });
-  await replaySession.replaySession({ dryRun });
+  await replaySession.replaySession();
 }
 
-const run = async ({ dryRun = true } = {}) => {
-  // generate initial users
-  const users = await generateUsers(config.starting_user_count);
-  const startDate = new Date(config.start_date);
-  const endDate = new Date(config.end_date);
-  // calculate initial DAU (% of total users)
-  let dau = config.starting_user_count * config.dau_percentage;
-
-  // generate sessions for each day 
-  for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-    // count of users for the day - max is weekday/weekend DAU limit 
-    let dailyUserCount = 0;
-    const dauLimit = getWeekdayOrWeekendDAU(d, dau);
-
-    while (dailyUserCount < dauLimit) {
-      // select a random user
-      const user = users[Math.floor(Math.random() * users.length)];
-      // if the user is not churned, generate sessions
-      if (!user.churned) {
-        // find the user's persona details
-        const persona = config.personas.find(p => p.name === user.persona);
-        // a single visit could combine one or more recordings
-        const sessionsToGenerate = Math.ceil(Math.random() * persona.sessions.length);
-
-        // if the user hasn't , or the persona has only one recording, start with the first recording (usually signup or signin)
-        const firstSessionIndex = user.session_count === 0 || persona.sessions.length === 1 ? 0 : 1
-
-        for(let i = firstSessionIndex; i < Math.min(persona.sessions.length, sessionsToGenerate); i++) {
-          const recordingId = persona.sessions[i].id;
-          const sessionId = crypto.randomUUID();
-
-          await replaySession(recordingId, user.id, sessionId, d.getTime() + (dailyUserCount * 1000 * 60) + (i * 1000 * 60), dryRun);
-          console.log(`User ${user.id} generated session ${i} with recording ${recordingId}`);
-        }
-
-        user.session_count++;
-        user.churned = Math.random() < config.personas.find(p => p.name === user.persona).churn_rate;
-        if(user.churned) {
-          console.log(`User ${user.id} churned after ${user.session_count} sessions`);
-        }
-
-        dailyUserCount++;
-      }
-      // Await a Promise to yield to the event loop for async simulation
-      await Promise.resolve();
+// Sessions replayed at once: --concurrency, else `concurrency` in generation-config.json (default 1)
+const concurrencySetting = () =>
+  argValue("--concurrency") !== undefined
+    ? validateConcurrency(argValue("--concurrency"), "--concurrency")
+    : validateConcurrency(config.concurrency ?? 1);
+
+// Retries, rate limit and dead-letter file from `delivery` in generation-config.json (--rate-limit overrides
+// the limit). Files and stdout can't be overloaded, so they are never rate limited.
+const deliveryConfig = (sink) => ({
+  ...config.delivery,
+  ...(argValue("--rate-limit") && { rate_limit: Number(argValue("--rate-limit")) }),
+  ...((sink.type === "file" || sink.type === "stdout") && { rate_limit: 0 }),
+});
+
+// The plan to replay: --execute <file> (or `execute`, the plan of a resumed run) replays a saved plan, else
+// users and sessions are simulated from generation-config.json into a new plan, saved to --plan <file>
+// (default output/plan.json) for review. Loads the planned recordings for the summary (and the replays that
+// follow). Returns the plan and its file.
+const preparePlan = async ({ execute = argValue("--execute") } = {}) => {
+  let plan;
+  if (execute) {
+    plan = readPlan(execute);
+    console.log(`📋 Executing plan ${execute} (created ${plan.created_at})\n`);
+  } else {
+    console.log(`🎲 Seed: ${seed} (use --seed ${seed} to generate exactly the same data again)\n`);
+    plan = await createPlan(config, { seed });
+  }
+
+  const recordingIds = new Set(plan.sessions.map((session) => session.recording_id));
+  const recordingStats = Object.fromEntries(
+    Array.from(recordingIds, (recordingId) => [recordingId, recordingStatsOf(recordingStore.get(recordingId))])
+  );
+  plan.summary = summarizePlan(plan, recordingStats);
+
+  const planFile = execute || argValue("--plan") || PLAN_FILE;
+  if (!execute) {
+    writePlan(planFile, plan);
+    console.log(`\n📋 Plan saved to ${planFile} (replay it again with --execute ${planFile})`);
+  }
+  console.log("");
+  formatPlanSummary(plan, plan.summary).forEach((line) => console.log(line));
+  return { plan, planFile };
+};
+
+// The checkpoint of a live run: the resumed one (checked to belong to the plan), else a new one
+const checkpointFor = ({ plan, planFile }, sink, resumed) => {
+  if (!resumed) {
+    return startCheckpoint(argValue("--checkpoint") || CHECKPOINT_FILE, {
+      runId: runIdOf(plan),
+      planFile,
+      sink: sink.description,
+    });
+  }
+  if (resumed.runId !== runIdOf(plan)) {
+    throw new Error(`${resumed.file} is the checkpoint of another run than ${planFile} (was the plan replaced?)`);
+  }
+  if (resumed.sink !== sink.description) {
+    throw new Error(`${resumed.file} is the checkpoint of a run to ${resumed.sink}, not ${sink.description}`);
+  }
+  return resumed;
+};
+
+// Replay the sessions of a plan through a sink. With a checkpoint, sessions it has already confirmed are
+// skipped and every session sent is confirmed in it.
+const run = async ({ sink, plan, checkpoint }) => {
+  const delivery = createDelivery(sink, deliveryConfig(sink));
+
+  let sessions = planJobs(plan);
+  if (checkpoint) {
+    const total = sessions.length;
+    sessions = sessions.filter((session) => !checkpoint.done.has(session.sessionId));
+    if (sessions.length < total) {
+      console.log(`\n⏭️  Resuming: ${total - sessions.length} of ${total} sessions were already sent (${checkpoint.file})`);
+    }
+    if (sessions.length === 0) {
+      console.log("✅ Nothing left to send: this run is complete.");
+      return;
     }
+  }
+  // Files and stdout are written one session at a time, so their payloads come out in the same order on
+  // every run (they're written about as fast either way)
+  const requested = concurrencySetting();
+  const writesLocally = sink.type === "file" || sink.type === "stdout";
+  const concurrency = writesLocally ? 1 : requested;
+  if (concurrency < requested) {
+    console.log(
+      `\nℹ️  Concurrency ${requested} is ignored for ${sink.description}: it is written one session at a time, ` +
+        "so the output is in the same order on every run"
+    );
+  }
+  console.log(`\nReplaying ${sessions.length} sessions, ${concurrency} at a time\n`);
 
-    // add new users for the day
-    users.push(...(await dailySignups(users.length)));
-    // calculate new DAU (% of total users)
-    dau = Math.ceil(users.filter(u => !u.churned).length * config.dau_percentage);
+  // Sessions of different users replay side by side; each user's sessions still go out in order, and all
+  // of them share the delivery rate limit
+  const progress = createProgress(sessions.length, { label: "sessions" });
+  // Tell how to continue when the run stops early
+  const resumeHint = () => {
+    if (checkpoint) {
+      console.error(`\n💾 Progress saved to ${checkpoint.file}. Continue this run: run the same command again with --resume`);
+    }
+  };
+  const onInterrupt = () => {
+    resumeHint();
+    process.exit(130);
+  };
+  process.once("SIGINT", onInterrupt);
+  try {
+    await runPool(sessions, {
+      concurrency,
+      keyOf: (session) => session.user.id,
+      run: (session) =>
+        replaySession(session.recordingId, session.user, session.sessionId, session.timestamp, delivery, session),
+      onDone: (session) => {
+        checkpoint?.record(session.sessionId);
+        console.log(`User ${session.user.id} generated session ${session.sessionIndex} with recording ${session.recordingId}`);
+        progress.tick();
+      },
+    });
+  } catch (error) {
+    resumeHint();
+    throw error;
+  } finally {
+    process.removeListener("SIGINT", onInterrupt);
+  }
 
-    console.log(`Total active users: ${users.filter(u => !u.churned).length}`);
-    console.log(`DAU: ${dau}`);
+  delivery.printSummary();
+  if (delivery.summary().failed > 0) {
+    process.exitCode = 1;
   }
 };
 
@@ -129,16 +219,75 @@ const askQuestion = (question) => {
 };
 
 const cliEntry = async () => {
-  console.log("INFO: The first run will ALWAYS be a dry run (no data will be sent).");
+  // Settings of the run itself fail before anything is planned
+  concurrencySetting();
+
+  // --sink posthog|file|stdout|http (with --sink-file / --sink-url), else `sink` in generation-config.json
+  const sinkConfig = {
+    ...config.sink,
+    ...(argValue("--sink") && { type: argValue("--sink") }),
+    ...(argValue("--sink-file") && { file: argValue("--sink-file") }),
+    ...(argValue("--sink-url") && { url: argValue("--sink-url") }),
+  };
+
+  // Files and stdout are written again from scratch; live runs (PostHog, HTTP) save their progress
+  const writesLocally = sinkConfig.type === "file" || sinkConfig.type === "stdout";
+
+  // --resume continues the live run of the checkpoint (--checkpoint <file>, default output/checkpoint.ndjson),
+  // with the plan it was replaying
+  let resumed = null;
+  if (process.argv.includes("--resume")) {
+    if (writesLocally) {
+      throw new Error(`--resume continues live runs; --sink ${sinkConfig.type} is simply run again`);
+    }
+    resumed = resumeCheckpoint(argValue("--checkpoint") || CHECKPOINT_FILE);
+  }
+
+  // Anything but PostHog is written in a single run, no confirmation needed
+  if (sinkConfig.type && sinkConfig.type !== "posthog") {
+    if (sinkConfig.type === "stdout") {
+      // keep stdout for the payloads
+      console.log = console.error;
+    }
+    const prepared = await preparePlan(resumed ? { execute: resumed.planFile } : {});
+    if (process.argv.includes("--plan-only")) return;
+    const sink = createSink(sinkConfig);
+    console.log(`\nINFO: Writing payloads to ${sink.description} (nothing is sent to PostHog).\n`);
+    await run({
+      sink,
+      plan: prepared.plan,
+      checkpoint: writesLocally ? null : checkpointFor(prepared, sink, resumed),
+    });
+    return;
+  }
+
+  const posthogHost = resolvePostHogHost({ host: config.posthog_host, region: config.posthog_region });
+  const prepared = await preparePlan(resumed ? { execute: resumed.planFile } : {});
+  const { plan } = prepared;
+  if (process.argv.includes("--plan-only")) return;
+
+  // A resumed run was confirmed when it started, and its dry run already written
+  if (resumed) {
+    const sink = createSink({ type: "posthog", posthogHost });
+    const checkpoint = checkpointFor(prepared, sink, resumed);
+    console.log(`\nINFO: Resuming the LIVE run of ${prepared.planFile} started ${resumed.startedAt}.\n`);
+    await run({ sink, plan, checkpoint });
+    return;
+  }
+
+  const dryRunFile = sinkConfig.file || DRY_RUN_FILE;
+  console.log("\nINFO: The first run will ALWAYS be a dry run (no data will be sent).");
+  console.log(`INFO: The dry run writes the payloads it would send to ${dryRunFile}.`);
   console.log("INFO: After seeing the dry run output, you may confirm a LIVE run.\n");
 
   // First: always do dry run
-  await run({ dryRun: true });
+  await run({ sink: createSink({ type: "file", file: dryRunFile }), plan });
 
-  // Ask for confirmation
+  // Ask for confirmation: the live run replays the same plan, so it sends exactly what the dry run wrote
   let answer = await askQuestion('\nDo you want to perform a LIVE run and send data? Type "Y" (capital Y) and press Enter to continue: ');
   if (answer === "Y") {
-    await run({ dryRun: false });
+    const sink = createSink({ type: "posthog", posthogHost });
+    await run({ sink, plan, checkpoint: checkpointFor(prepared, sink) });
   } else {
     console.log("LIVE run cancelled. No data has been sent.");
   }
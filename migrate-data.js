@@ -0,0 +1,42 @@
+// Convert captured behaviors in data/ from the legacy JSONL format to the compact format, in place:
+//   npm run migrate
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
+import { FORMAT_VERSION, KINDS, listBehaviors, migrateBehavior } from "./recording-format.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const dataDir = path.join(__dirname, "data");
+
+const formatBytes = (bytes) =>
+  bytes < 1024 * 1024
+    ? `${(bytes / 1024).toFixed(1)} KB`
+    : `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+let migrated = 0;
+let failed = 0;
+for (const behaviorId of listBehaviors(dataDir)) {
+  for (const kind of KINDS) {
+    try {
+      const result = migrateBehavior(dataDir, behaviorId, kind);
+      if (!result) continue;
+      migrated++;
+      console.log(
+        `✅ ${behaviorId} ${kind}: ${result.entries} entries, ${formatBytes(result.bytesBefore)} -> ${formatBytes(result.bytesAfter)}`
+      );
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${behaviorId} ${kind}: ${error.message}`);
+    }
+  }
+}
+
+console.log(
+  migrated || failed
+    ? `\nMigrated ${migrated} file(s) to format v${FORMAT_VERSION}${failed ? `, ${failed} failed` : ""}`
+    : `Nothing to migrate: all data is already in format v${FORMAT_VERSION}`
+);
+if (failed) {
+  process.exit(1);
+}
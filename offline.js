@@ -0,0 +1,81 @@
+import fs from "fs";
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Static assets fetched while online are cached here so they can be served offline
+export const STATIC_CACHE_DIR = path.join(__dirname, "cache", "static");
+
+// posthog-js ships the same lazy-loaded bundles in its dist folder, used as a fallback
+const POSTHOG_JS_DIST_DIR = path.join(
+  __dirname,
+  "node_modules",
+  "posthog-js",
+  "dist"
+);
+
+// What PostHog answers on the capture endpoints (/e/, /s/, ...)
+export const CAPTURE_RESPONSE = { status: 1 };
+
+// Canned /flags (and legacy /decide) response that keeps session recording enabled
+export function buildFlagsResponse() {
+  return {
+    config: { enable_collect_everything: true },
+    toolbarParams: {},
+    isAuthenticated: false,
+    supportedCompression: ["gzip", "gzip-js"],
+    featureFlags: {},
+    featureFlagPayloads: {},
+    flags: {},
+    errorsWhileComputingFlags: false,
+    sessionRecording: {
+      endpoint: "/s/",
+      consoleLogRecordingEnabled: true,
+      recorderVersion: "v2",
+      sampleRate: null,
+      minimumDurationMilliseconds: null,
+      linkedFlag: null,
+      networkPayloadCapture: null,
+      urlTriggers: [],
+      urlBlocklist: [],
+      eventTriggers: [],
+      scriptConfig: null,
+    },
+    autocapture_opt_out: false,
+    autocaptureExceptions: false,
+    capturePerformance: false,
+    heatmaps: false,
+    surveys: false,
+    siteApps: [],
+    elementsChainAsString: true,
+    defaultIdentifiedOnly: true,
+  };
+}
+
+// Resolve a /static/* request path inside a base directory, refusing path traversal
+function resolveInside(baseDir, assetPath) {
+  const relative = assetPath.replace(/^\/static\//, "");
+  const resolved = path.join(baseDir, relative);
+  if (!resolved.startsWith(baseDir + path.sep)) {
+    return null;
+  }
+  return resolved;
+}
+
+// Where a /static/* asset is (or would be) stored in the local cache
+export function staticCachePath(assetPath) {
+  return resolveInside(STATIC_CACHE_DIR, assetPath);
+}
+
+// Find a locally available copy of a /static/* asset, or null
+export function findStaticAsset(assetPath) {
+  for (const baseDir of [STATIC_CACHE_DIR, POSTHOG_JS_DIST_DIR]) {
+    const candidate = resolveInside(baseDir, assetPath);
+    if (candidate && fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,77 @@
+// Size limits for replayed payloads. Sizes are bytes of uncompressed JSON, which is what PostHog checks
+// once it has decompressed a request.
+export const DEFAULT_PAYLOAD_LIMITS = {
+  // One $snapshot event (posthog-js splits its own buffers at the same size)
+  max_snapshot_event_bytes: 900000,
+  // One /s/ or /batch/ request body
+  max_request_bytes: 5000000,
+  // Events in one /batch/ request
+  max_batch_events: 500,
+};
+
+const jsonBytes = (value) => Buffer.byteLength(JSON.stringify(value), "utf8");
+
+// Pack items, in order, into consecutive groups of at most maxBytes and maxItems. An item bigger than
+// maxBytes on its own gets a group of its own.
+// (Each item counts one more byte, for the comma between items.)
+function packInOrder(items, { maxBytes, maxItems = Infinity, sizeOf = (item) => jsonBytes(item) + 1 }) {
+  const groups = [];
+  let group = [];
+  let groupBytes = 0;
+  for (const item of items) {
+    const bytes = sizeOf(item);
+    if (group.length > 0 && (groupBytes + bytes > maxBytes || group.length >= maxItems)) {
+      groups.push(group);
+      group = [];
+      groupBytes = 0;
+    }
+    group.push(item);
+    groupBytes += bytes;
+  }
+  if (group.length > 0) groups.push(group);
+  return groups;
+}
+
+// Split $snapshot events so each one stays under max_snapshot_event_bytes and each request under
+// max_request_bytes. $snapshot_data is only ever split between rrweb events, into consecutive $snapshot
+// events with the same properties, which is how posthog-js sends a large buffer: PostHog orders the rrweb
+// events of a session by timestamp. Returns the requests, each a list of $snapshot events, in order.
+export function splitSnapshotPayloads(snapshotEvents, limits = {}) {
+  const { max_snapshot_event_bytes: maxEventBytes, max_request_bytes: maxRequestBytes } = {
+    ...DEFAULT_PAYLOAD_LIMITS,
+    ...limits,
+  };
+
+  const events = [];
+  for (const snapshotEvent of snapshotEvents) {
+    const data = snapshotEvent.properties?.$snapshot_data;
+    if (!Array.isArray(data) || data.length <= 1 || jsonBytes(snapshotEvent) <= maxEventBytes) {
+      events.push(snapshotEvent);
+      continue;
+    }
+    // Room left for the rrweb events once the rest of the $snapshot event is counted
+    const overhead = jsonBytes({
+      ...snapshotEvent,
+      properties: { ...snapshotEvent.properties, $snapshot_data: [] },
+    });
+    for (const part of packInOrder(data, { maxBytes: maxEventBytes - overhead })) {
+      events.push({
+        ...snapshotEvent,
+        properties: { ...snapshotEvent.properties, $snapshot_data: part },
+      });
+    }
+  }
+  const requests = packInOrder(events, { maxBytes: maxRequestBytes });
+  // Single rrweb events (usually full snapshots) too big to fit a $snapshot event on their own
+  requests.oversizedEvents = events.filter((event) => jsonBytes(event) > maxEventBytes).length;
+  return requests;
+}
+
+// Split a /batch/ list of events into batches under max_batch_events and max_request_bytes, in order
+export function splitEventBatches(events, limits = {}) {
+  const { max_batch_events: maxEvents, max_request_bytes: maxRequestBytes } = {
+    ...DEFAULT_PAYLOAD_LIMITS,
+    ...limits,
+  };
+  return packInOrder(events, { maxBytes: maxRequestBytes, maxItems: maxEvents });
+}
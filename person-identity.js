@@ -0,0 +1,114 @@
+import { createValueGenerator, validateValueSpec } from "./property-rules.js";
+
+// Autocapture details that belong to the captured click, not to a synthesized event
+const EVENT_SPECIFIC_PROPERTIES = new Set([
+  "$elements",
+  "$elements_chain",
+  "$event_type",
+  "$el_text",
+  "$ce_version",
+  "$set",
+  "$set_once",
+  "$feature_flag",
+  "$feature_flag_response",
+  "$feature_flag_payload",
+]);
+
+// Check `person_properties` of generation-config.json (global or per persona): { "<property>": <value> }
+export function validatePersonProperties(personProperties, where = "person_properties") {
+  if (personProperties === undefined) return;
+  if (personProperties === null || typeof personProperties !== "object" || Array.isArray(personProperties)) {
+    throw new Error(`${where} must be an object of property names to values`);
+  }
+  for (const [name, spec] of Object.entries(personProperties)) {
+    validateValueSpec(spec, `${where}.${name}`);
+  }
+}
+
+// The properties of an event that describe its session (page, device, library...) rather than the event
+// itself, for events synthesized next to it
+export function sessionPropertiesOf(event) {
+  return Object.fromEntries(
+    Object.entries(event.properties || {}).filter(
+      ([key]) => (key.startsWith("$") && !EVENT_SPECIFIC_PROPERTIES.has(key)) || key === "token"
+    )
+  );
+}
+
+// The person properties of a generated user: name, email, persona and signup date, plus the custom
+// `person_properties` (values as in property_rules, always kept the same for a user)
+export function buildPersonProperties(user, personProperties = {}) {
+  const generate = createValueGenerator({ user });
+  const custom = Object.fromEntries(
+    Object.entries(personProperties).map(([name, spec]) => [
+      name,
+      generate(spec && typeof spec === "object" ? { ...spec, per_user: true } : spec, `person:${name}`),
+    ])
+  );
+  return {
+    $set: {
+      name: user.name,
+      email: user.email,
+      persona: user.persona,
+      ...custom,
+    },
+    $set_once: {
+      ...(user.signup_date && { signup_date: user.signup_date }),
+    },
+  };
+}
+
+// Make the replayed events of one session identify the generated user, the way posthog-js would:
+//  - where the session switches from the anonymous ID to the user ID, the captured $identify (or one
+//    synthesized just before the first identified event) links anonId to userId
+//  - that $identify, or the first identified event when the whole session is identified, carries the
+//    user's $set / $set_once person properties
+//  - captured $create_alias events alias the anonymous ID to the user ID
+// Events must be in time order with distinct_id already set. Returns the (possibly longer) list.
+export function identifyPerson(events, { userId, anonId, person }) {
+  const firstIdentified = events.findIndex((event) => event.properties?.distinct_id === userId);
+  if (firstIdentified === -1) return events;
+
+  const withPersonProperties = (event) => {
+    event.properties.$set = { ...event.properties.$set, ...person.$set };
+    event.properties.$set_once = { ...event.properties.$set_once, ...person.$set_once };
+  };
+
+  for (const event of events) {
+    if (event.event === "$create_alias" && event.properties) {
+      event.properties.distinct_id = anonId;
+      event.properties.alias = userId;
+    }
+  }
+
+  const wasAnonymous = events
+    .slice(0, firstIdentified)
+    .some((event) => event.properties?.distinct_id === anonId);
+  if (!wasAnonymous) {
+    withPersonProperties(events[firstIdentified]);
+    return events;
+  }
+
+  const captured = events.find((event) => event.event === "$identify" && event.properties);
+  if (captured) {
+    captured.properties.distinct_id = userId;
+    captured.properties.$anon_distinct_id = anonId;
+    withPersonProperties(captured);
+    return events;
+  }
+
+  const trigger = events[firstIdentified];
+  const identify = {
+    event: "$identify",
+    // just before the first identified event
+    timestamp: new Date(Date.parse(trigger.timestamp) - 1).toISOString(),
+    properties: {
+      ...sessionPropertiesOf(trigger),
+      distinct_id: userId,
+      $anon_distinct_id: anonId,
+      $is_identified: true,
+    },
+  };
+  withPersonProperties(identify);
+  return [...events.slice(0, firstIdentified), identify, ...events.slice(firstIdentified)];
+}
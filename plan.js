@@ -0,0 +1,323 @@
+// Plans: the simulated users and the sessions to replay, decided up front and saved to a file, so a run can
+// be reviewed before anything is sent and the same plan can be executed later (or against another project).
+import fs from "fs";
+import path from "path";
+import { resolveTimingConfig } from "./timing-variation.js";
+import { validatePropertyRules } from "./property-rules.js";
+import { validatePersonProperties } from "./person-identity.js";
+import { validateDeviceProfiles } from "./device-profiles.js";
+import { assignFeatureFlags, conversionFactor, validateFeatureFlags } from "./feature-flags.js";
+import { planVisit, validateJourney } from "./journeys.js";
+import { forEachSnapshot } from "./recording-timeline.js";
+import { validateConcurrency } from "./worker-pool.js";
+import { createRandom } from "./random.js";
+
+export const PLAN_FORMAT = "session-replayer-plan";
+export const PLAN_VERSION = 1;
+
+// Users existing before the start date signed up within this many days before it
+const INITIAL_SIGNUP_SPREAD_DAYS = 180;
+
+// Check the generation settings of generation-config.json up front, so a typo fails before anything is
+// planned or replayed
+export function validateGenerationConfig(config) {
+  validatePropertyRules(config.property_rules || []);
+  for (const persona of config.personas) {
+    validatePropertyRules(persona.property_rules || []);
+    persona.sessions.forEach((session) => {
+      validatePropertyRules(session.property_rules || []);
+      if (session.probability !== undefined && !(session.probability >= 0 && session.probability <= 1)) {
+        throw new Error(`${persona.name}: probability of ${session.id} must be from 0 to 1`);
+      }
+    });
+    validatePersonProperties(persona.person_properties, `${persona.name}.person_properties`);
+    validateDeviceProfiles(persona.device_profiles, `${persona.name}.device_profiles`);
+    validateJourney(persona);
+  }
+  validatePersonProperties(config.person_properties);
+  validateDeviceProfiles(config.device_profiles);
+  if (config.concurrency !== undefined) validateConcurrency(config.concurrency);
+  validateFeatureFlags(config.feature_flags, {
+    recordingIds: config.personas.flatMap((persona) => persona.sessions.map((session) => session.id)),
+    boostableIds: config.personas.flatMap((persona) =>
+      persona.sessions
+        .filter((session) => persona.journey !== undefined || (session.probability ?? 1) < 1)
+        .map((session) => session.id)
+    ),
+  });
+}
+
+const generateUsers = async (config, random, count, startId = 0, signupDate = null) => {
+  const users = [];
+  for (let i = 0; i < count; i++) {
+    users.push({
+      id: `user-${startId + i}`,
+      name: `User ${startId + i}`,
+      email: `user-${startId + i}@example.com`,
+      signup_date: (signupDate || new Date(
+        new Date(config.start_date).getTime() - Math.ceil(random() * INITIAL_SIGNUP_SPREAD_DAYS) * 86400000
+      )).toISOString().slice(0, 10),
+      churned: false,
+      session_count: 0,
+      persona: (() => {
+        // Weighted selection based on user_share
+        const r = random();
+        let acc = 0;
+        for (let j = 0; j < config.personas.length; j++) {
+          acc += config.personas[j].user_share;
+          if (r < acc) return config.personas[j].name;
+        }
+        // fallback (shouldn't happen if shares sum to 1)
+        return config.personas[config.personas.length - 1].name;
+      })(),
+    });
+  }
+  return users;
+};
+
+const getWeekdayOrWeekendDAU = (random, date, dau) => {
+    // If the day is Saturday (6) or Sunday (0), reduce DAU to ~10% of target with ±5% random variance
+    let isWeekend = date.getDay() === 0 || date.getDay() === 6;
+    let weekendVariance = 0.1 + (random() * 0.1 - 0.05); // 0.05 to 0.15
+    let weekendDau = isWeekend && Math.max(1, Math.round(dau * weekendVariance));
+    return weekendDau || dau;
+}
+
+const dailySignups = async (config, random, currentTotalUsers, date) => {
+    // Add new users with variance: positive swings can be large, negative small
+    const variance = (random() < 0.7) ? random() * 0.005 : -(random() * 0.01);
+    const signupCount = Math.ceil(currentTotalUsers * (config.daily_signups_growth + variance));
+    console.log(`Signups for the day (with variance): ${signupCount}`);
+
+    return generateUsers(config, random, signupCount, currentTotalUsers, date);
+}
+
+// Simulate users, churn and signups over the date range of a generation config, and plan the sessions to
+// replay in order. Every random choice comes from the seed, so the same seed and config give the same plan.
+export async function createPlan(config, { seed }) {
+  validateGenerationConfig(config);
+  const random = createRandom(seed);
+  const sessions = [];
+
+  // generate initial users
+  const users = await generateUsers(config, random, config.starting_user_count);
+  const startDate = new Date(config.start_date);
+  const endDate = new Date(config.end_date);
+  // calculate initial DAU (% of total users)
+  let dau = config.starting_user_count * config.dau_percentage;
+
+  // generate sessions for each day
+  for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
+    const date = d.toISOString().slice(0, 10);
+    // count of users for the day - max is weekday/weekend DAU limit
+    let dailyUserCount = 0;
+    const dauLimit = getWeekdayOrWeekendDAU(random, d, dau);
+
+    while (dailyUserCount < dauLimit) {
+      // select a random user
+      const user = users[Math.floor(random() * users.length)];
+      // if the user is not churned, generate sessions
+      if (!user.churned) {
+        // find the user's persona details
+        const persona = config.personas.find(p => p.name === user.persona);
+        // the user's feature flag variants can make some recordings more or less likely: in a journey by
+        // changing the paths, else by changing the probability of a recording
+        const flags = assignFeatureFlags(user, config.feature_flags);
+        const conversion = (recordingId) => conversionFactor(config.feature_flags, flags, recordingId);
+        // a single visit combines one or more recordings, from the persona's journey (or in order)
+        const visit = planVisit(persona, { returning: user.session_count > 0, random, conversion });
+
+        for (const [step, i] of visit.entries()) {
+          const recordingId = persona.sessions[i].id;
+          // a recording with a probability below 1 may not be reached: the visit ends there
+          const probability = (persona.sessions[i].probability ?? 1) * (persona.journey ? 1 : conversion(recordingId));
+          if (probability < 1 && random() >= probability) break;
+
+          sessions.push({
+            date,
+            user_id: user.id,
+            persona: persona.name,
+            recording_id: recordingId,
+            session_index: i,
+            session_id: random.uuid(),
+            timestamp: new Date(d.getTime() + (dailyUserCount * 1000 * 60) + (step * 1000 * 60)).toISOString(),
+          });
+        }
+
+        user.session_count++;
+        user.churned = random() < config.personas.find(p => p.name === user.persona).churn_rate;
+        if(user.churned) {
+          user.churned_on = date;
+          console.log(`User ${user.id} churned after ${user.session_count} sessions`);
+        }
+
+        dailyUserCount++;
+      }
+      // Await a Promise to yield to the event loop for async simulation
+      await Promise.resolve();
+    }
+
+    // add new users for the day
+    users.push(...(await dailySignups(config, random, users.length, d)));
+    // calculate new DAU (% of total users)
+    dau = Math.ceil(users.filter(u => !u.churned).length * config.dau_percentage);
+
+    console.log(`Total active users: ${users.filter(u => !u.churned).length}`);
+    console.log(`DAU: ${dau}`);
+  }
+
+  return {
+    format: PLAN_FORMAT,
+    version: PLAN_VERSION,
+    created_at: new Date().toISOString(),
+    seed,
+    // identifies what this plan sends: replayed events get UUIDs derived from it, so sending the plan
+    // again (e.g. resuming a run) gives PostHog events it can deduplicate
+    run_id: random.uuid(),
+    // the generation settings the plan was made from, which its replays use too
+    config,
+    users: users.map(({ churned, session_count, ...user }) => user),
+    sessions,
+  };
+}
+
+// The run ID of a plan (plans saved before run IDs fall back to their seed)
+export const runIdOf = (plan) => plan.run_id ?? plan.seed;
+
+// What executing a plan replays: one job per session, with the user, the replay settings of its persona
+// and recording, and its own random generator (derived from the plan's seed, so replays are reproducible
+// in any order)
+export function planJobs(plan) {
+  const users = new Map(plan.users.map((user) => [user.id, user]));
+  const random = createRandom(plan.seed);
+  return plan.sessions.map((session, index) => {
+    const persona = plan.config.personas.find((p) => p.name === session.persona);
+    const recording = persona.sessions[session.session_index];
+    return {
+      recordingId: session.recording_id,
+      user: users.get(session.user_id),
+      sessionId: session.session_id,
+      sessionIndex: session.session_index,
+      timestamp: Date.parse(session.timestamp),
+      // timing variation: recording settings override persona settings override global ones
+      timing: resolveTimingConfig(plan.config.timing, persona.timing, recording.timing),
+      // property rules: global, then persona, then recording rules are all applied, in that order
+      propertyRules: [
+        ...(plan.config.property_rules || []),
+        ...(persona.property_rules || []),
+        ...(recording.property_rules || []),
+      ],
+      // person properties: persona values override global ones
+      personProperties: { ...plan.config.person_properties, ...persona.person_properties },
+      // device profiles: persona shares replace the global ones, per kind (device types, browsers...)
+      deviceProfiles: { ...plan.config.device_profiles, ...persona.device_profiles },
+      featureFlags: plan.config.feature_flags,
+      runId: runIdOf(plan),
+      random: random.derive(`session:${index}`),
+    };
+  });
+}
+
+// What replaying a loaded recording sends: its snapshots, the events of its recorded sessions, and roughly
+// how many bytes (uncompressed JSON) that is
+export function recordingStatsOf(behavior) {
+  let snapshots = 0;
+  const sessionIds = new Set();
+  forEachSnapshot(behavior.recordings, (snapshot, snapshotEvent) => {
+    snapshots++;
+    sessionIds.add(snapshotEvent.properties?.$session_id);
+  });
+  let events = 0;
+  for (const sessionId of sessionIds) events += (behavior.eventsBySession.get(sessionId) || []).length;
+  return { snapshots, events, bytes: behavior.bytes };
+}
+
+// Totals of a plan per day, persona and recording, with the expected events, snapshots and bytes given
+// the stats of each recording ({ "<recording>": { events, snapshots, bytes } })
+export function summarizePlan(plan, recordingStats) {
+  const count = (map, key, field, amount = 1) => {
+    if (!map.has(key)) map.set(key, {});
+    map.get(key)[field] = (map.get(key)[field] || 0) + amount;
+  };
+
+  const days = new Map();
+  const personas = new Map();
+  const recordings = new Map();
+  const usersPerDay = new Map();
+  const expected = { events: 0, snapshots: 0, bytes: 0 };
+  for (const session of plan.sessions) {
+    count(days, session.date, "sessions");
+    count(personas, session.persona, "sessions");
+    count(recordings, session.recording_id, "sessions");
+    if (!usersPerDay.has(session.date)) usersPerDay.set(session.date, new Set());
+    usersPerDay.get(session.date).add(session.user_id);
+    const stats = recordingStats[session.recording_id] || {};
+    for (const key of Object.keys(expected)) expected[key] += stats[key] || 0;
+  }
+  for (const user of plan.users) {
+    count(personas, user.persona, "users");
+    // initial users signed up before the plan starts
+    if (days.has(user.signup_date)) count(days, user.signup_date, "signups");
+    if (user.churned_on) count(days, user.churned_on, "churned");
+  }
+  for (const [date, users] of usersPerDay) days.get(date).users = users.size;
+
+  const rows = (map) => Array.from(map, ([key, totals]) => ({ key, ...totals }));
+  return {
+    users: plan.users.length,
+    sessions: plan.sessions.length,
+    expected,
+    days: rows(days),
+    personas: rows(personas),
+    recordings: rows(recordings),
+  };
+}
+
+const formatBytes = (bytes) =>
+  bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// Human readable lines for a plan summary
+export function formatPlanSummary(plan, summary) {
+  const { start_date: start, end_date: end } = plan.config;
+  return [
+    `📋 Plan: ${summary.sessions} sessions of ${summary.users} users from ${start} to ${end} (seed ${plan.seed})`,
+    `   Expected: ~${summary.expected.events} events, ~${summary.expected.snapshots} snapshots, ~${formatBytes(summary.expected.bytes)} uncompressed`,
+    "   Per day:",
+    ...summary.days.map(
+      (day) =>
+        `     ${day.key}  ${day.sessions || 0} sessions, ${day.users || 0} users, ` +
+        `${day.signups || 0} signups, ${day.churned || 0} churned`
+    ),
+    "   Per persona:",
+    ...summary.personas.map((persona) => `     ${persona.key}: ${persona.users || 0} users, ${persona.sessions || 0} sessions`),
+    "   Per recording:",
+    ...summary.recordings.map((recording) => `     ${recording.key}: ${recording.sessions} sessions`),
+  ];
+}
+
+export function writePlan(file, plan) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(plan, null, 2) + "\n");
+}
+
+// Read a saved plan, checking it before anything is replayed
+export function readPlan(file) {
+  const plan = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (plan.format !== PLAN_FORMAT || !(plan.version <= PLAN_VERSION)) {
+    throw new Error(
+      `${file}: not a plan this version can execute (${plan.format} v${plan.version}, expected ${PLAN_FORMAT} up to v${PLAN_VERSION})`
+    );
+  }
+  validateGenerationConfig(plan.config);
+  const userIds = new Set(plan.users.map((user) => user.id));
+  for (const session of plan.sessions) {
+    if (!userIds.has(session.user_id)) {
+      throw new Error(`${file}: session ${session.session_id} is for unknown user ${session.user_id}`);
+    }
+    const persona = plan.config.personas.find((p) => p.name === session.persona);
+    if (persona?.sessions[session.session_index]?.id !== session.recording_id) {
+      throw new Error(`${file}: session ${session.session_id} doesn't match persona "${session.persona}" of the plan's config`);
+    }
+  }
+  return plan;
+}
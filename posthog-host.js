@@ -0,0 +1,51 @@
+import http from "http";
+import https from "https";
+
+// PostHog cloud regions: ingestion host and the host serving posthog-js assets
+const REGIONS = {
+  us: { host: "https://us.i.posthog.com", assetsHost: "https://us-assets.i.posthog.com" },
+  eu: { host: "https://eu.i.posthog.com", assetsHost: "https://eu-assets.i.posthog.com" },
+};
+
+// Parse "eu.i.posthog.com", "https://eu.i.posthog.com" or "http://localhost:8000"
+function parseHost(value) {
+  const url = new URL(/^https?:\/\//.test(value) ? value : `https://${value}`);
+  const secure = url.protocol === "https:";
+  const port = url.port ? Number(url.port) : secure ? 443 : 80;
+  return {
+    protocol: url.protocol,
+    hostname: url.hostname,
+    port,
+    // Host header value: only include the port when it isn't the default one
+    host: url.port ? `${url.hostname}:${url.port}` : url.hostname,
+    origin: url.origin,
+  };
+}
+
+// Resolve the PostHog instance used for capture and replay.
+// Explicit options win, then POSTHOG_HOST / POSTHOG_ASSETS_HOST / POSTHOG_REGION from the environment,
+// then the US cloud. A custom host serves its own static assets unless an assets host is given.
+export function resolvePostHogHost({ host, assetsHost, region } = {}) {
+  const regionName = (region || process.env.POSTHOG_REGION || "us").toLowerCase();
+  const regionHosts = REGIONS[regionName];
+  if (!regionHosts) {
+    throw new Error(
+      `Unknown PostHog region "${regionName}" (expected one of: ${Object.keys(REGIONS).join(", ")})`
+    );
+  }
+
+  const customHost = host || process.env.POSTHOG_HOST;
+  const api = parseHost(customHost || regionHosts.host);
+  const assets = parseHost(
+    assetsHost ||
+      process.env.POSTHOG_ASSETS_HOST ||
+      (customHost ? api.origin : regionHosts.assetsHost)
+  );
+
+  return { ...api, assets };
+}
+
+// Node's request module matching a resolved host's scheme
+export function requestModuleFor(target) {
+  return target.protocol === "http:" ? http : https;
+}
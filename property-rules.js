@@ -0,0 +1,232 @@
+import crypto from "crypto";
+
+// Properties holding a URL or a path, rewritten by `url_path` rules wherever they appear in an event
+const URL_PROPERTIES = new Set([
+  "$current_url",
+  "$initial_current_url",
+  "$referrer",
+  "$initial_referrer",
+  "$pathname",
+  "$initial_pathname",
+]);
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// `target`, or a copy of it with the values `update(key, value)` changed
+const updated = (target, update) => {
+  let copy = target;
+  for (const [key, value] of Object.entries(target)) {
+    const next = update(key, value);
+    if (next !== value) {
+      if (copy === target) copy = Array.isArray(target) ? [...target] : { ...target };
+      copy[key] = next;
+    }
+  }
+  return copy;
+};
+
+// A number in [0, 1) that is always the same for the same key
+export const stableRandom = (key) =>
+  parseInt(crypto.createHash("sha256").update(key).digest("hex").slice(0, 8), 16) / 0x100000000;
+
+// Check the `property_rules` of generation-config.json up front, so a typo fails before anything is sent
+export function validatePropertyRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error("property_rules must be a list of rules");
+  }
+  rules.forEach((rule, index) => {
+    const where = `property_rules[${index}]`;
+    const targets = ["property", "path", "url_path"].filter((key) => rule[key] !== undefined);
+    if (targets.length !== 1) {
+      throw new Error(`${where} needs exactly one of "property", "path" or "url_path"`);
+    }
+    if (rule.url_path !== undefined) {
+      if (!isObject(rule.params) || Object.keys(rule.params).length === 0) {
+        throw new Error(`${where} needs "params" with a value for each :param of "${rule.url_path}"`);
+      }
+      for (const param of Object.keys(rule.params)) {
+        if (!rule.url_path.split("/").includes(`:${param}`)) {
+          throw new Error(`${where}: "${rule.url_path}" has no :${param}`);
+        }
+        validateValueSpec(rule.params[param], `${where}.params.${param}`);
+      }
+    } else {
+      if (!("value" in rule)) {
+        throw new Error(`${where} needs a "value"`);
+      }
+      validateValueSpec(rule.value, `${where}.value`);
+    }
+  });
+  return rules;
+}
+
+export function validateValueSpec(spec, where) {
+  if (!isObject(spec)) return;
+  if (Array.isArray(spec.pick)) {
+    if (spec.pick.length === 0) throw new Error(`${where}.pick is empty`);
+  } else if (Array.isArray(spec.random)) {
+    const [min, max] = spec.random;
+    if (typeof min !== "number" || typeof max !== "number" || min > max) {
+      throw new Error(`${where}.random must be [min, max]`);
+    }
+  } else {
+    throw new Error(`${where} must be a literal, a template string, { "pick": [...] } or { "random": [min, max] }`);
+  }
+}
+
+// Generates values from value specs (see createPropertyRewriter) for one user and session.
+// generate(spec, key, originalValue): `key` identifies the rule (and param) so repeats reuse the same value.
+export function createValueGenerator({ user = {}, sessionId, random = Math.random } = {}) {
+  const generated = new Map();
+
+  const fillTemplate = (template, originalValue) =>
+    template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, name) => {
+      const [scope, key] = name.split(".");
+      if (name === "value") return originalValue ?? "";
+      if (scope === "user" && user[key] !== undefined) return user[key];
+      if (name === "session.id") return sessionId;
+      return placeholder;
+    });
+
+  return (spec, key, originalValue) => {
+    if (!isObject(spec)) {
+      return typeof spec === "string" ? fillTemplate(spec, originalValue) : spec;
+    }
+
+    const cacheKey = spec.per_user ? `${key}\0user` : `${key}\0${JSON.stringify(originalValue)}`;
+    if (generated.has(cacheKey)) return generated.get(cacheKey);
+
+    const roll = spec.per_user ? stableRandom(`${user.id}\0${key}`) : random();
+    let value;
+    if (Array.isArray(spec.pick)) {
+      value = spec.pick[Math.floor(roll * spec.pick.length)];
+      if (typeof value === "string") value = fillTemplate(value, originalValue);
+    } else {
+      const [min, max] = spec.random;
+      const factor = 10 ** (spec.decimals || 0);
+      value = Math.round((min + roll * (max - min)) * factor) / factor;
+    }
+    generated.set(cacheKey, value);
+    return value;
+  };
+}
+
+// Rewrites replayed event properties from the `property_rules` of generation-config.json.
+//
+// Rules target one of:
+//   { "property": "plan", ... }              that key at any depth under `properties`
+//   { "path": "properties.$set.plan", ... }  an exact dotted path from the event root ("*" matches any key)
+//   { "url_path": "/projects/:id", "params": { "id": <value> } }
+//                                            matching paths in $current_url, $pathname, referrers...
+// and may be limited to some events with "event": "name" or ["name", ...].
+//
+// Values are a literal, a template string ("{{user.name}}'s team", also {{user.id}}, {{user.email}},
+// {{session.id}} and {{value}} for the original value), { "pick": [...] } or
+// { "random": [min, max], "decimals": 2 }. Generated values stay the same for the same original value
+// within a session; add "per_user": true to keep one value per user across all their sessions.
+export function createPropertyRewriter(rules = [], { user = {}, sessionId, random = Math.random } = {}) {
+  const generate = createValueGenerator({ user, sessionId, random });
+
+  const urlRules = [];
+  const valueRules = [];
+  rules.forEach((rule, index) => {
+    const events = rule.event === undefined ? null : new Set([].concat(rule.event));
+    if (rule.url_path !== undefined) {
+      urlRules.push({ ...rule, index, events, segments: rule.url_path.split("/") });
+    } else {
+      valueRules.push({ ...rule, index, events });
+    }
+  });
+
+  const appliesTo = (rule, event) => !rule.events || rule.events.has(event?.event);
+
+  // Rewrite the :params of a path for the rules that match it
+  const rewritePath = (pathname, rules) => {
+    const segments = pathname.split("/");
+    for (const rule of rules) {
+      if (rule.segments.length !== segments.length) continue;
+      const matches = rule.segments.every(
+        (segment, i) => segment === "*" || segment.startsWith(":") || segment === segments[i]
+      );
+      if (!matches) continue;
+      rule.segments.forEach((segment, i) => {
+        const param = segment.slice(1);
+        if (segment.startsWith(":") && rule.params[param] !== undefined) {
+          segments[i] = encodeURIComponent(
+            String(generate(rule.params[param], `${rule.index}:${param}`, decodeURIComponent(segments[i])))
+          );
+        }
+      });
+    }
+    return segments.join("/");
+  };
+
+  const rewriteUrlWith = (value, rules) => {
+    if (typeof value !== "string" || rules.length === 0) return value;
+    try {
+      const url = new URL(value);
+      url.pathname = rewritePath(url.pathname, rules);
+      return url.toString();
+    } catch {
+      // A bare path ($pathname), possibly with a query string
+      const [pathname, ...rest] = value.split("?");
+      return [rewritePath(pathname, rules), ...rest].join("?");
+    }
+  };
+
+  // The nested objects of a replayed event can be shared with other replays of the recording, so the
+  // rewrites below don't change them in place: they return `target` itself when nothing changed, else a copy
+  const rewriteUrlProperties = (target, rules) => {
+    if (!target || typeof target !== "object") return target;
+    return updated(target, (key, value) =>
+      URL_PROPERTIES.has(key) ? rewriteUrlWith(value, rules) : rewriteUrlProperties(value, rules)
+    );
+  };
+
+  // Rules with `property`: match that key anywhere below the object
+  const applyPropertyRule = (target, rule) => {
+    if (!target || typeof target !== "object") return target;
+    return updated(target, (key, value) =>
+      key === rule.property ? generate(rule.value, String(rule.index), value) : applyPropertyRule(value, rule)
+    );
+  };
+
+  // Rules with `path`: walk a dotted path, "*" matching any key
+  const applyPathRule = (target, segments, rule) => {
+    if (!target || typeof target !== "object") return target;
+    const [segment, ...rest] = segments;
+    return updated(target, (key, value) => {
+      if (segment !== "*" && key !== segment) return value;
+      return rest.length === 0 ? generate(rule.value, String(rule.index), value) : applyPathRule(value, rest, rule);
+    });
+  };
+
+  // Rewrite one PostHog event in place (the event and its properties object are the replay's own)
+  const rewriteEvent = (event) => {
+    if (!event || typeof event !== "object") return event;
+    if (event.properties) {
+      event.properties = rewriteUrlProperties(
+        event.properties,
+        urlRules.filter((rule) => appliesTo(rule, event))
+      );
+    }
+    for (const rule of valueRules) {
+      if (!appliesTo(rule, event)) continue;
+      if (rule.path !== undefined) {
+        Object.assign(event, applyPathRule(event, rule.path.split("."), rule));
+      } else if (event.properties) {
+        event.properties = applyPropertyRule(event.properties, rule);
+      }
+    }
+    return event;
+  };
+
+  // Rewrite a page URL outside of an event (the rrweb meta event's href), with the rules for all events
+  const rewriteUrl = (value) =>
+    rewriteUrlWith(
+      value,
+      urlRules.filter((rule) => !rule.events)
+    );
+
+  return { rewriteEvent, rewriteUrl };
+}
@@ -1,14 +1,28 @@
 import express from "express";
 import cors from "cors";
-import https from "https";
+import dotenv from "dotenv";
 import zlib from "zlib";
 import fs from "fs";
 import path, { dirname } from "path";
 import { fileURLToPath } from "url";
+import {
+  CAPTURE_RESPONSE,
+  buildFlagsResponse,
+  findStaticAsset,
+  staticCachePath,
+} from "./offline.js";
+import { resolvePostHogHost, requestModuleFor } from "./posthog-host.js";
+import { createRedactor, loadRedactionConfig } from "./redaction.js";
+import CaptureSession, { BEHAVIOR_ID_PATTERN } from "./capture-session.js";
+import { decodeCapturePayload, extractEvents } from "./capture-decoding.js";
+import { formatSplitReport } from "./session-split.js";
+import CaptureMonitor from "./capture-monitor.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+dotenv.config();
+
 const app = express();
 const port = 3001;
 
@@ -24,13 +38,24 @@ if (nameArgIndex !== -1 && process.argv[nameArgIndex + 1]) {
   recordingId = Date.now();
 }
 
-// Paths to JSONL files
-const EVENTS_FILE = path.join(__dirname, "data", `${recordingId}-events.jsonl`);
-const RECORDINGS_FILE = path.join(
-  __dirname,
-  "data",
-  `${recordingId}-recordings.jsonl`
-);
+// In offline mode nothing is forwarded to PostHog, requests are answered locally
+const offline = process.argv.includes("--offline");
+
+// PostHog instance to forward to: --host, else POSTHOG_HOST / POSTHOG_REGION from the environment
+const hostArgIndex = process.argv.indexOf("--host");
+const posthogHost = resolvePostHogHost({
+  host: hostArgIndex !== -1 ? process.argv[hostArgIndex + 1] : undefined,
+});
+
+// PII redaction applied before anything is written to disk (disable with --no-redact)
+const redactionConfigArgIndex = process.argv.indexOf("--redaction-config");
+const redactionConfigPath =
+  redactionConfigArgIndex !== -1
+    ? path.resolve(process.argv[redactionConfigArgIndex + 1])
+    : path.join(__dirname, "redaction-config.json");
+const redactor = process.argv.includes("--no-redact")
+  ? null
+  : createRedactor(loadRedactionConfig(redactionConfigPath));
 
 // Ensure data directory exists
 const dataDir = path.join(__dirname, "data");
@@ -38,6 +63,33 @@ if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
+// Write each original session/window to its own <behavior>.<n> files
+const splitSessions = process.argv.includes("--split");
+
+// The behavior currently being captured (null while paused), switched via /api/recording/start|stop.
+// Start paused with --paused, otherwise capture starts right away under --name.
+let activeCapture = process.argv.includes("--paused")
+  ? null
+  : new CaptureSession({ behaviorId: recordingId, dataDir, split: splitSessions });
+// Stopped captures, so their final status can still be queried
+const finishedCaptures = [];
+
+function stopActiveCapture() {
+  if (!activeCapture) return null;
+  activeCapture.close();
+  if (activeCapture.splitter) {
+    formatSplitReport(activeCapture.splitter).forEach((line) => console.log(line));
+  }
+  finishedCaptures.push(activeCapture);
+  const stopped = activeCapture;
+  activeCapture = null;
+  return stopped;
+}
+
+// Live view of what is being captured, served at /monitor
+const monitor = new CaptureMonitor();
+const activeBehaviorId = () => (activeCapture ? activeCapture.behaviorId : null);
+
 // Enable CORS for all routes
 app.use(
   cors({
@@ -164,6 +216,20 @@ async function decompressNestedSnapshots(data) {
 // Save event to JSONL file
 async function saveEventToFile(eventData, headers, query) {
   try {
+    if (!activeCapture) {
+      console.log(`⏸️  Capture paused, event not saved`);
+      return false;
+    }
+
+    if (redactor) {
+      if (eventData.rawData) {
+        console.log(`🛡️  Undecodable event payload not saved: it can't be redacted`);
+        return false;
+      }
+      eventData = redactor.redactPayload(eventData);
+      headers = redactor.redactHeaders(headers);
+    }
+
     // Extract event type from the data - try multiple possible field names
     const eventType =
       eventData.event ||
@@ -198,13 +264,14 @@ async function saveEventToFile(eventData, headers, query) {
       query: query,
     };
 
-    // Append to events.jsonl file
-    const line = JSON.stringify(eventEntry) + "\n";
-    fs.appendFileSync(EVENTS_FILE, line, "utf8");
+    // Append to <behavior>-events.jsonl.gz file
+    activeCapture.writeEvent(eventEntry);
 
     console.log(`📊 Event saved to file`);
+    return true;
   } catch (error) {
     console.error("Error saving event to file:", error);
+    return false;
   }
 }
 
@@ -216,6 +283,22 @@ async function saveRecordingToFile(
   query
 ) {
   try {
+    if (!activeCapture) {
+      console.log(`⏸️  Capture paused, recording not saved`);
+      return false;
+    }
+
+    if (redactor) {
+      if (!decompressedData) {
+        console.log(`🛡️  Undecodable recording payload not saved: it can't be redacted`);
+        return false;
+      }
+      // The original bytes can't be redacted, only the decompressed copy is kept
+      originalData = null;
+      decompressedData = redactor.redactPayload(decompressedData);
+      headers = redactor.redactHeaders(headers);
+    }
+
     const timestamp = new Date();
 
     // Create recording entry in JSONL format
@@ -229,20 +312,27 @@ async function saveRecordingToFile(
       query: query,
     };
 
-    // Append to recordings.jsonl file
-    const line = JSON.stringify(recordingEntry) + "\n";
-    fs.appendFileSync(RECORDINGS_FILE, line, "utf8");
+    // Append to <behavior>-recordings.jsonl.gz file
+    activeCapture.writeRecording(recordingEntry);
 
     console.log(`🎥 Recording saved to file`);
+    return true;
   } catch (error) {
     console.error("Error saving recording to file:", error);
+    return false;
   }
 }
 
 // Manual proxy function
-async function proxyRequest(req, res, targetHost, targetPath = req.path) {
+async function proxyRequest(
+  req,
+  res,
+  target = posthogHost,
+  targetPath = req.path,
+  { cacheFile = null } = {}
+) {
   console.log(`\n🔄 ${req.method} ${req.path}`);
-  console.log(`🚀 Proxying to: https://${targetHost}${targetPath}`);
+  console.log(`🚀 Proxying to: ${target.origin}${targetPath}`);
 
   // Handle different content types properly
   let postData = null;
@@ -259,13 +349,13 @@ async function proxyRequest(req, res, targetHost, targetPath = req.path) {
   }
 
   const options = {
-    hostname: targetHost,
-    port: 443,
+    hostname: target.hostname,
+    port: target.port,
     path:
       targetPath + (req.url.includes("?") ? "?" + req.url.split("?")[1] : ""),
     method: req.method,
     headers: {
-      Host: targetHost,
+      Host: target.host,
       "Content-Type": req.headers["content-type"] || "application/json",
       "User-Agent": req.headers["user-agent"] || "PostHog-Proxy/1.0",
       // Forward compression headers
@@ -282,8 +372,8 @@ async function proxyRequest(req, res, targetHost, targetPath = req.path) {
   };
 
   return new Promise((resolve) => {
-    const proxyReq = https.request(options, (proxyRes) => {
-      console.log(`✅ Response: ${proxyRes.statusCode} from ${targetHost}`);
+    const proxyReq = requestModuleFor(target).request(options, (proxyRes) => {
+      console.log(`✅ Response: ${proxyRes.statusCode} from ${target.host}`);
 
       // Set response headers (excluding compression headers since we'll handle decompression)
       Object.keys(proxyRes.headers).forEach((key) => {
@@ -305,6 +395,20 @@ async function proxyRequest(req, res, targetHost, targetPath = req.path) {
         responseStream = proxyRes.pipe(zlib.createBrotliDecompress());
       }
 
+      // Keep a copy of successful responses when asked to (used for offline mode)
+      if (cacheFile && proxyRes.statusCode === 200) {
+        const cacheChunks = [];
+        responseStream.on("data", (chunk) => cacheChunks.push(chunk));
+        responseStream.on("end", () => {
+          try {
+            fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+            fs.writeFileSync(cacheFile, Buffer.concat(cacheChunks));
+          } catch (error) {
+            console.error(`Error caching ${cacheFile}:`, error.message);
+          }
+        });
+      }
+
       // Pipe decompressed response
       responseStream.pipe(res);
       responseStream.on("end", resolve);
@@ -329,25 +433,40 @@ async function proxyRequest(req, res, targetHost, targetPath = req.path) {
   });
 }
 
-// API endpoint to start a recording session
+// API endpoint to start a recording session: switches capture to a new behavior
 app.post("/api/recording/start", async (req, res) => {
   try {
-    const { behaviorId, sessionId } = req.body;
+    const { behaviorId, sessionId, split = splitSessions } = req.body;
 
-    if (!behaviorId || !sessionId) {
-      return res
-        .status(400)
-        .json({ error: "behaviorId and sessionId are required" });
+    if (!behaviorId) {
+      return res.status(400).json({ error: "behaviorId is required" });
+    }
+    if (!BEHAVIOR_ID_PATTERN.test(behaviorId)) {
+      return res.status(400).json({
+        error: `Invalid behaviorId "${behaviorId}" (use letters, numbers, ".", "_" or "-")`,
+      });
+    }
+
+    const previous = stopActiveCapture();
+    if (previous) {
+      console.log(`🛑 Stopped recording behavior: ${previous.behaviorId}`);
     }
 
+    activeCapture = new CaptureSession({
+      behaviorId,
+      sessionId: sessionId || null,
+      dataDir,
+      split: Boolean(split),
+    });
+
+    monitor.publish({ kind: "capture", ...activeCapture.status() });
     console.log(
-      `🎬 Started recording session for behavior: ${behaviorId} - Session: ${sessionId}`
+      `🎬 Started recording behavior: ${behaviorId}${sessionId ? ` - Session: ${sessionId}` : ""}`
     );
 
     res.json({
       success: true,
-      behaviorId: behaviorId,
-      sessionId: sessionId,
+      ...activeCapture.status(),
     });
   } catch (error) {
     console.error("Error starting recording session:", error);
@@ -355,24 +474,30 @@ app.post("/api/recording/start", async (req, res) => {
   }
 });
 
-// API endpoint to stop a recording session
+// API endpoint to stop a recording session: pauses capture until the next start
 app.post("/api/recording/stop", async (req, res) => {
   try {
-    const { sessionId } = req.body;
+    const { behaviorId } = req.body;
 
-    if (!sessionId) {
-      return res.status(400).json({ error: "sessionId is required" });
+    if (!activeCapture) {
+      return res.status(409).json({ error: "No recording in progress" });
+    }
+    if (behaviorId && behaviorId !== activeCapture.behaviorId) {
+      return res.status(409).json({
+        error: `Recording in progress is "${activeCapture.behaviorId}", not "${behaviorId}"`,
+      });
     }
 
-    const behaviorId = req.body.behaviorId;
-
+    const stopped = stopActiveCapture();
+    monitor.publish({ kind: "capture", ...stopped.status() });
     console.log(
-      `🛑 Stopped recording session for behavior: ${behaviorId} - Session: ${sessionId}`
+      `🛑 Stopped recording behavior: ${stopped.behaviorId} (${stopped.eventCount} events, ${stopped.recordingChunkCount} recording chunks)`
     );
 
     res.json({
       success: true,
       message: "Recording session stopped",
+      ...stopped.status(),
     });
   } catch (error) {
     console.error("Error stopping recording session:", error);
@@ -380,161 +505,211 @@ app.post("/api/recording/stop", async (req, res) => {
   }
 });
 
-// API endpoint to get recording session status
-app.get("/api/recording/status/:sessionId", async (req, res) => {
+// API endpoint to get recording status: the active capture, or a given session's capture
+app.get(["/api/recording/status", "/api/recording/status/:sessionId"], async (req, res) => {
   try {
     const { sessionId } = req.params;
 
-    res.json({
-      sessionId: sessionId,
-      status: "ACTIVE",
-    });
+    if (!sessionId) {
+      return res.json(
+        activeCapture ? activeCapture.status() : { status: "PAUSED" }
+      );
+    }
+
+    const capture = [activeCapture, ...finishedCaptures.slice().reverse()].find(
+      (c) => c && c.sessionId === sessionId
+    );
+    if (!capture) {
+      return res
+        .status(404)
+        .json({ sessionId, error: "No recording found for this session" });
+    }
+
+    res.json(capture.status());
   } catch (error) {
     console.error("Error getting recording session status:", error);
     res.status(500).json({ error: "Failed to get recording session status" });
   }
 });
 
+// Live capture monitor: a small page and the Server-Sent Events stream it listens to
+app.get("/monitor", (req, res) => {
+  res.sendFile(path.join(__dirname, "monitor.html"));
+});
+app.get("/monitor/stream", (req, res) => monitor.stream(req, res));
+
+// Answer a capture request locally when offline, otherwise forward it to PostHog
+async function forwardCapture(req, res) {
+  if (offline) {
+    res.json(CAPTURE_RESPONSE);
+    return;
+  }
+  await proxyRequest(req, res);
+}
+
 // Handle static assets
 app.get("/static/*", async (req, res) => {
   console.log(`📦 Static asset: ${req.path}`);
-  await proxyRequest(req, res, "us-assets.i.posthog.com");
+
+  if (offline) {
+    const assetFile = findStaticAsset(req.path);
+    if (!assetFile) {
+      console.log(`📦 Static asset not cached: ${req.path}`);
+      res.status(404).json({
+        error: "Static asset not available offline",
+        message: `Run the proxy online once to cache ${req.path}, or install posthog-js`,
+      });
+      return;
+    }
+    res.sendFile(assetFile);
+    return;
+  }
+
+  await proxyRequest(req, res, posthogHost.assets, req.path, {
+    cacheFile: staticCachePath(req.path),
+  });
 });
 
 // Handle /flags endpoint (critical for session recordings)
-app.post("/flags/*", async (req, res) => {
+app.post(["/flags/*", "/decide/*"], async (req, res) => {
   console.log(`🎯 Flags request: ${req.path}`);
-  await proxyRequest(req, res, "us.i.posthog.com");
+
+  if (offline) {
+    res.json(buildFlagsResponse());
+    return;
+  }
+
+  await proxyRequest(req, res);
 });
 
-// Handle PostHog events endpoint
-app.post(["/i/v0/e/*", "/e/*"], async (req, res) => {
-  console.log(`📊 PostHog Event: ${req.path}`);
-  console.log(`📊 Content-Type: ${req.headers["content-type"]}`);
-  console.log(`📊 Content-Encoding: ${req.headers["content-encoding"]}`);
+// Decode a capture request body, logging (and counting) anything that can't be decoded
+function decodeRequest(req, label) {
+  try {
+    return decodeCapturePayload(req);
+  } catch (error) {
+    console.log(`❌ ${label}: ${error.message}`);
+    if (activeCapture) {
+      activeCapture.recordDecodeError();
+    }
+    monitor.publishError({
+      behaviorId: activeBehaviorId(),
+      label,
+      message: error.message,
+      bytes: req.rawBody ? req.rawBody.length : 0,
+    });
+    return { error };
+  }
+}
 
-  // Get current behavior info for debugging
-  // Always record the raw data - don't be smart about it
+// Handle PostHog events endpoints (every capture path posthog-js and the server SDKs use)
+const EVENT_PATHS = [
+  "/e",
+  "/e/*",
+  "/i/v0/e",
+  "/i/v0/e/*",
+  "/batch",
+  "/batch/*",
+  "/capture",
+  "/capture/*",
+  "/track",
+  "/track/*",
+  "/engage",
+  "/engage/*",
+];
+
+async function handleEvents(req, res) {
+  console.log(`📊 PostHog Event: ${req.method} ${req.path}`);
+  console.log(
+    `📊 Content-Type: ${req.headers["content-type"]}, Content-Encoding: ${req.headers["content-encoding"]}, compression: ${req.query.compression}`
+  );
   console.log(
     `📊 Raw data size: ${req.rawBody ? req.rawBody.length : 0} bytes`
   );
 
-  if (req.rawBody && req.rawBody.length > 0) {
-    // Try to decompress and parse for logging, but always save raw data
-    try {
-      const decompressed = zlib.gunzipSync(req.rawBody);
-      const parsedData = JSON.parse(decompressed.toString());
-      console.log(`📊 Decompressed data:`, parsedData);
-
-      // Save the decompressed data to file
-      await saveEventToFile(parsedData, req.headers, req.query);
-    } catch (error) {
-      console.log(`📊 Failed to decompress, saving raw data:`, error.message);
-
-      // If decompression fails, save the raw data as a string
-      const rawDataString = req.rawBody.toString("base64");
-      await saveEventToFile(
-        { rawData: rawDataString, error: "Failed to decompress" },
-        req.headers,
-        req.query
-      );
-    }
-  } else if (req.body && Object.keys(req.body).length > 0) {
-    console.log(`📊 Parsed data:`, req.body);
-    await saveEventToFile(req.body, req.headers, req.query);
+  const { payload, encoding, error } = decodeRequest(req, "Event payload");
+
+  if (error) {
+    // Keep the raw body so the payload can be inspected, but flag why it isn't usable
+    await saveEventToFile(
+      {
+        rawData: (req.rawBody || Buffer.alloc(0)).toString("base64"),
+        error: error.message,
+        encoding: error.details,
+      },
+      req.headers,
+      req.query
+    );
+  } else if (payload) {
+    const events = extractEvents(payload);
+    console.log(
+      `📊 Decoded ${events.length} event(s) (${encoding.compression || encoding.contentEncoding || "uncompressed"}): ${events
+        .map((event) => event.event)
+        .join(", ")}`
+    );
+    const saved = await saveEventToFile(
+      events.length === 1 ? events[0] : events,
+      req.headers,
+      req.query
+    );
+    monitor.publishEvents({
+      behaviorId: activeBehaviorId(),
+      events,
+      bytes: req.rawBody ? req.rawBody.length : 0,
+      encoding: encoding.compression || encoding.contentEncoding || "uncompressed",
+      saved,
+    });
   } else {
     console.log(`📊 No data to record`);
   }
 
-  await proxyRequest(req, res, "us.i.posthog.com");
-});
+  await forwardCapture(req, res);
+}
+
+app.post(EVENT_PATHS, handleEvents);
+// Image/GET fallback transport sends the payload as ?data=
+app.get(EVENT_PATHS, handleEvents);
 
 // Handle session recordings endpoint
-app.post("/s/*", async (req, res) => {
+app.post(["/s", "/s/*"], async (req, res) => {
   console.log(`🎥 Recording: ${req.path}`);
 
-  const encoding = req.headers["content-encoding"];
-
-  if (
-    !encoding &&
-    req.body &&
-    typeof req.body === "object" &&
-    Object.keys(req.body).length > 0
-  ) {
-    // Uncompressed JSON data - save as is
-    await saveRecordingToFile(req.body, req.body, req.headers, req.query);
-  } else if (req.rawBody && req.rawBody.length > 0) {
-    // Compressed data - implement dual storage
-    try {
-      let decompressedData = null;
-      let originalData = req.rawBody;
-
-      // Handle different compression types
-      if (encoding === "gzip" || req.query.compression === "gzip-js") {
-        decompressedData = zlib.gunzipSync(originalData);
-      } else if (encoding === "deflate") {
-        decompressedData = zlib.inflateSync(originalData);
-      } else if (encoding === "br") {
-        decompressedData = zlib.brotliDecompressSync(originalData);
-      }
-
-      if (decompressedData) {
-        const parsedData = JSON.parse(decompressedData.toString());
-
-        // Save dual format: original compressed + decompressed
-        await saveRecordingToFile(
-          {
-            type: "Buffer",
-            data: Array.from(originalData), // Keep original format for PostHog compatibility
-          },
-          await decompressNestedSnapshots(parsedData), // Add fully readable format for analysis
-          req.headers,
-          req.query
-        );
+  const { payload, error } = decodeRequest(req, "Recording payload");
 
-        console.log(
-          `🎥 Recording saved with dual storage: ${originalData.length} bytes compressed -> ${decompressedData.length} bytes decompressed`
-        );
-      } else {
-        // Fallback: save as original format
-        await saveRecordingToFile(
-          {
-            type: "Buffer",
-            data: Array.from(originalData),
-          },
-          null,
-          req.headers,
-          req.query
-        );
-        console.log(
-          `🎥 Recording saved as original: ${originalData.length} bytes`
-        );
-      }
-    } catch (error) {
-      console.error("Error processing recording data:", error);
-      // Fallback: save as original format
-      await saveRecordingToFile(
-        {
-          type: "Buffer",
-          data: Array.from(req.rawBody),
-        },
-        null,
-        req.headers,
-        req.query
-      );
-    }
+  if (error) {
+    // Fallback: keep the undecodable body (stored as base64) for inspection
+    await saveRecordingToFile(
+      req.rawBody || Buffer.alloc(0),
+      null,
+      req.headers,
+      req.query
+    );
+  } else if (payload) {
+    // Only the fully readable decompressed copy is stored
+    const snapshotEvents = await decompressNestedSnapshots(extractEvents(payload));
+    const saved = await saveRecordingToFile(
+      req.rawBody,
+      snapshotEvents,
+      req.headers,
+      req.query
+    );
+    monitor.publishRecording({
+      behaviorId: activeBehaviorId(),
+      snapshotEvents,
+      bytes: req.rawBody.length,
+      saved,
+    });
   }
 
   console.log(
     `🎥 Recording data: ${req.rawBody ? req.rawBody.length : 0} bytes`
   );
-  await proxyRequest(req, res, "us.i.posthog.com");
+  await forwardCapture(req, res);
 });
 
 // Handle all other POST requests
 app.post("*", async (req, res) => {
   console.log(`🔄 Generic POST: ${req.path}`);
-  await proxyRequest(req, res, "us.i.posthog.com");
+  await forwardCapture(req, res);
 });
 
 // Handle all GET requests
@@ -543,16 +718,44 @@ app.get("*", async (req, res) => {
     res.json({
       status: "ok",
       proxy: "Behavior-Aware PostHog Proxy",
+      offline,
+      recording: activeCapture ? activeCapture.behaviorId : null,
       timestamp: new Date().toISOString(),
     });
     return;
   }
 
   console.log(`🔄 Generic GET: ${req.path}`);
-  await proxyRequest(req, res, "us.i.posthog.com");
+
+  if (offline) {
+    res.status(404).json({ error: "Not available offline", path: req.path });
+    return;
+  }
+
+  await proxyRequest(req, res);
+});
+
+// Close the capture files cleanly on Ctrl+C
+process.on("SIGINT", () => {
+  stopActiveCapture();
+  process.exit(0);
 });
 
 app.listen(port, () => {
   console.log(`🚀 PostHog Proxy running on http://localhost:${port}`);
-  console.log(`🔍 Recording ID: ${recordingId}`);
+  console.log(
+    activeCapture
+      ? `🔍 Recording ID: ${activeCapture.behaviorId}`
+      : `⏸️  Capture paused: POST /api/recording/start to begin recording a behavior`
+  );
+  console.log(`📺 Capture monitor: http://localhost:${port}/monitor`);
+  console.log(`🌍 PostHog host: ${posthogHost.origin} (assets: ${posthogHost.assets.origin})`);
+  console.log(
+    redactor
+      ? `🛡️  Redacting PII before saving (${fs.existsSync(redactionConfigPath) ? redactionConfigPath : "default rules"})`
+      : `⚠️  Redaction disabled: captured data is saved verbatim`
+  );
+  if (offline) {
+    console.log(`✈️  Offline mode: requests are answered locally, not forwarded`);
+  }
 });
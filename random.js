@@ -0,0 +1,58 @@
+import crypto from "crypto";
+
+// sfc32: a small, fast PRNG with 128 bits of state, plenty for simulations
+function sfc32(a, b, c, d) {
+  return () => {
+    a |= 0;
+    b |= 0;
+    c |= 0;
+    d |= 0;
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+}
+
+// Format 16 bytes as a UUID string, with the given version
+function formatUuid(bytes, version) {
+  bytes[6] = (bytes[6] & 0x0f) | (version << 4);
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = bytes.toString("hex");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// A UUID that is always the same for the same name (version 5 format, from a SHA-1 of the name), e.g. for
+// events that may be sent again and should then be deduplicated
+export const stableUuid = (name) =>
+  formatUuid(crypto.createHash("sha1").update(String(name)).digest().subarray(0, 16), 5);
+
+// A short seed for runs that weren't given one, so they can still be reproduced
+export const randomSeed = () => crypto.randomBytes(4).toString("hex");
+
+// A seeded random number generator: random() returns a number in [0, 1) like Math.random, and the same
+// seed always gives the same sequence. Also:
+//   random.uuid()         a UUID (v4 format) from the same sequence
+//   random.derive(label)  an independent generator for a part of the run (e.g. one session), which doesn't
+//                         depend on how much of this one has been used
+export function createRandom(seed = randomSeed()) {
+  const hash = crypto.createHash("sha256").update(String(seed)).digest();
+  const next = sfc32(hash.readUInt32LE(0), hash.readUInt32LE(4), hash.readUInt32LE(8), hash.readUInt32LE(12));
+  // Mix the initial state
+  for (let i = 0; i < 12; i++) next();
+
+  const random = () => next();
+  random.seed = seed;
+  random.uuid = () => {
+    const bytes = Buffer.alloc(16);
+    for (let i = 0; i < 16; i += 4) {
+      bytes.writeUInt32LE(Math.floor(next() * 4294967296), i);
+    }
+    return formatUuid(bytes, 4);
+  };
+  random.derive = (label) => createRandom(`${seed}\0${label}`);
+  return random;
+}
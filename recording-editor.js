@@ -0,0 +1,162 @@
+import {
+  DOM_CHANGING_SOURCES,
+  RRWEB_FULL_SNAPSHOT,
+  RRWEB_INCREMENTAL_SNAPSHOT,
+  RRWEB_META,
+  createIdleCompressor,
+  eventTime,
+  eventsOf,
+  forEachEvent,
+  forEachSnapshot,
+  setEventTime,
+  snapshotEventsOf,
+  timelineBounds,
+} from "./recording-timeline.js";
+
+// Does an event match a --drop-where filter ({ path: "$set.plan", value: "pro" })?
+const matchesFilter = (event, { path, value }) => {
+  let current = path.startsWith("properties.") ? event : event.properties;
+  for (const key of path.split(".")) {
+    if (current === null || typeof current !== "object") return false;
+    current = current[key];
+  }
+  return current !== undefined && String(current) === value;
+};
+
+// The full snapshot (with its meta event) in effect at `cutTime` for one session/window, plus the
+// page-changing incremental snapshots between it and the cut. Moving these to the cut time keeps the
+// replay starting from the right DOM state.
+function snapshotsToCarryOver(snapshots, cutTime) {
+  const before = snapshots.filter((snapshot) => snapshot.timestamp < cutTime);
+  const fullIndex = before.findLastIndex((snapshot) => snapshot.type === RRWEB_FULL_SNAPSHOT);
+  if (fullIndex === -1) return [];
+
+  const metaIndex = before
+    .slice(0, fullIndex)
+    .findLastIndex((snapshot) => snapshot.type === RRWEB_META);
+  return before.filter(
+    (snapshot, index) =>
+      index === metaIndex ||
+      index === fullIndex ||
+      (index > fullIndex &&
+        snapshot.type === RRWEB_INCREMENTAL_SNAPSHOT &&
+        DOM_CHANGING_SOURCES.has(snapshot.data?.source))
+  );
+}
+
+// Edit a captured behavior. Times (start, end) are ms from the start of the recording, maxIdle is ms.
+// Returns edited copies of the entries and a report; the input is left untouched.
+export function editBehavior(
+  { recordings, events },
+  { start = null, end = null, maxIdle = null, dropEvents = [], dropWhere = [] } = {}
+) {
+  recordings = structuredClone(recordings);
+  events = structuredClone(events);
+
+  const before = timelineBounds(recordings, events);
+  if (before.start === null) {
+    throw new Error("Nothing to edit: the behavior has no snapshots or events");
+  }
+  const cutStart = start === null ? null : before.start + start;
+  const cutEnd = end === null ? null : before.start + end;
+  if (cutStart !== null && cutEnd !== null && cutEnd <= cutStart) {
+    throw new Error("--end must be after --start");
+  }
+
+  const report = {
+    snapshotsBefore: 0,
+    snapshotsAfter: 0,
+    carriedOver: 0,
+    eventsBefore: 0,
+    eventsAfter: 0,
+    droppedByFilter: 0,
+    durationBefore: before.end - before.start,
+    durationAfter: 0,
+    idleGapsCompressed: 0,
+  };
+  forEachSnapshot(recordings, () => report.snapshotsBefore++);
+  forEachEvent(events, () => report.eventsBefore++);
+
+  // 1. Trim snapshots, per session/window so each keeps a full snapshot at the new start
+  const bySession = new Map();
+  for (const entry of recordings) {
+    for (const snapshotEvent of snapshotEventsOf(entry)) {
+      const key = `${snapshotEvent.properties?.$session_id}/${snapshotEvent.properties?.$window_id}`;
+      if (!bySession.has(key)) bySession.set(key, []);
+      bySession.get(key).push(...(snapshotEvent.properties?.$snapshot_data || []));
+    }
+  }
+  const carried = new Set();
+  if (cutStart !== null) {
+    for (const snapshots of bySession.values()) {
+      for (const snapshot of snapshotsToCarryOver(snapshots, cutStart)) {
+        snapshot.timestamp = cutStart;
+        carried.add(snapshot);
+      }
+    }
+    report.carriedOver = carried.size;
+  }
+  const keepSnapshot = (snapshot) =>
+    carried.has(snapshot) ||
+    ((cutStart === null || snapshot.timestamp >= cutStart) &&
+      (cutEnd === null || snapshot.timestamp <= cutEnd));
+
+  for (const entry of recordings) {
+    for (const snapshotEvent of snapshotEventsOf(entry)) {
+      if (snapshotEvent.properties?.$snapshot_data) {
+        snapshotEvent.properties.$snapshot_data =
+          snapshotEvent.properties.$snapshot_data.filter(keepSnapshot);
+      }
+    }
+    entry.decompressed = snapshotEventsOf(entry).filter(
+      (snapshotEvent) => (snapshotEvent.properties?.$snapshot_data || []).length > 0
+    );
+  }
+  recordings = recordings.filter((entry) => entry.decompressed.length > 0);
+
+  // 2. Trim and filter events
+  const dropNames = new Set(dropEvents);
+  const keepEvent = (event, entry) => {
+    const time = eventTime(event, entry);
+    if (cutStart !== null && time < cutStart) return false;
+    if (cutEnd !== null && time > cutEnd) return false;
+    if (dropNames.has(event.event) || dropWhere.some((filter) => matchesFilter(event, filter))) {
+      report.droppedByFilter++;
+      return false;
+    }
+    return true;
+  };
+  events = events
+    .map((entry) => {
+      const kept = eventsOf(entry).filter((event) => keepEvent(event, entry));
+      return { ...entry, data: Array.isArray(entry.data) ? kept : kept[0] };
+    })
+    .filter((entry) => eventsOf(entry).length > 0);
+
+  // 3. Compress idle gaps, moving snapshots and events with the same mapping so they stay aligned
+  if (maxIdle !== null) {
+    const activity = [];
+    forEachSnapshot(recordings, (snapshot) => activity.push(snapshot.timestamp));
+    forEachEvent(events, (event, entry) => activity.push(eventTime(event, entry)));
+    const compress = createIdleCompressor(activity, maxIdle);
+    report.idleGapsCompressed = compress.gapCount;
+
+    forEachSnapshot(recordings, (snapshot) => {
+      snapshot.timestamp = compress(snapshot.timestamp);
+    });
+    forEachEvent(events, (event, entry) => {
+      setEventTime(event, compress(eventTime(event, entry)));
+    });
+    for (const entry of [...recordings, ...events]) {
+      entry.originalTimestamp = compress(entry.originalTimestamp);
+      entry.timestamp = new Date(entry.originalTimestamp).toISOString();
+    }
+  }
+
+  forEachSnapshot(recordings, () => report.snapshotsAfter++);
+  forEachEvent(events, () => report.eventsAfter++);
+  const after = timelineBounds(recordings, events);
+  report.durationAfter = after.start === null ? 0 : after.end - after.start;
+
+  return { recordings, events, report };
+}
@@ -0,0 +1,186 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+
+// On-disk format of captured behaviors.
+//
+// Version 1 (legacy): data/<behavior>-<kind>.jsonl, one JSON entry per line. Recording entries keep the
+// original request body as {type: "Buffer", data: [bytes...]} next to the decompressed copy.
+//
+// Version 2: data/<behavior>-<kind>.jsonl.gz, gzip-compressed NDJSON whose first line is a format header.
+// Each line is appended as its own gzip member, so files can be appended to while capturing. Recording
+// entries only keep the decompressed copy; bodies that couldn't be decoded are kept as base64.
+export const FORMAT_NAME = "session-replayer";
+export const FORMAT_VERSION = 2;
+
+export const KINDS = ["events", "recordings"];
+
+const legacyPath = (dataDir, behaviorId, kind) =>
+  path.join(dataDir, `${behaviorId}-${kind}.jsonl`);
+const compactPath = (dataDir, behaviorId, kind) =>
+  path.join(dataDir, `${behaviorId}-${kind}.jsonl.gz`);
+
+// The existing data file of a behavior (compact preferred), or null
+export function findDataFile(dataDir, behaviorId, kind) {
+  for (const file of [
+    compactPath(dataDir, behaviorId, kind),
+    legacyPath(dataDir, behaviorId, kind),
+  ]) {
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+// Behavior names with captured data in a data directory, in either format
+export function listBehaviors(dataDir) {
+  if (!fs.existsSync(dataDir)) return [];
+  const behaviors = new Set();
+  for (const file of fs.readdirSync(dataDir)) {
+    const match = file.match(/^(.+)-(events|recordings)\.jsonl(\.gz)?$/);
+    if (match) behaviors.add(match[1]);
+  }
+  return Array.from(behaviors).sort();
+}
+
+const header = (kind) => ({
+  format: FORMAT_NAME,
+  version: FORMAT_VERSION,
+  kind,
+  createdAt: new Date().toISOString(),
+});
+
+// Drop what the compact format doesn't store: the raw body when a decompressed copy exists
+export function compactEntry(entry) {
+  if (entry.type !== "recording") return entry;
+
+  const { data, ...rest } = entry;
+  if (rest.decompressed) return rest;
+
+  // Nothing decoded: keep the body so it can still be inspected
+  let raw = null;
+  if (Buffer.isBuffer(data)) {
+    raw = data;
+  } else if (data && data.type === "Buffer" && Array.isArray(data.data)) {
+    raw = Buffer.from(data.data);
+  }
+  return raw ? { ...rest, rawData: raw.toString("base64") } : rest;
+}
+
+// Read the raw JSON lines of a data file in either format (without the version 2 header)
+export function readLines(file) {
+  let text;
+  if (file.endsWith(".gz")) {
+    // Sync flush tolerates a last member cut short by a crash while capturing
+    text = zlib
+      .gunzipSync(fs.readFileSync(file), { finishFlush: zlib.constants.Z_SYNC_FLUSH })
+      .toString("utf8");
+  } else {
+    text = fs.readFileSync(file, "utf8");
+  }
+
+  const lines = text.split("\n").filter((line) => line.trim());
+  if (file.endsWith(".gz") && lines.length > 0) {
+    const fileHeader = JSON.parse(lines.shift());
+    if (fileHeader.format !== FORMAT_NAME || fileHeader.version > FORMAT_VERSION) {
+      throw new Error(
+        `${file}: unsupported format ${fileHeader.format} v${fileHeader.version} (this version reads up to v${FORMAT_VERSION})`
+      );
+    }
+  }
+  return lines;
+}
+
+// Read and parse the entries of a data file in either format
+export function readEntries(file) {
+  return parseEntries(readLines(file), file);
+}
+
+// Parse the lines of a data file (see readLines)
+export function parseEntries(lines, file) {
+  const entries = [];
+  lines.forEach((line, index) => {
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // Only the last line can be partial (capture interrupted mid-write)
+      if (index !== lines.length - 1) throw error;
+      console.warn(`⚠️  ${file}: skipping truncated last entry`);
+    }
+  });
+  return entries;
+}
+
+// Entries of one kind for a behavior, or [] if nothing was captured
+export function readBehavior(dataDir, behaviorId, kind) {
+  const file = findDataFile(dataDir, behaviorId, kind);
+  return file ? readEntries(file) : [];
+}
+
+const gzipLine = (value) => zlib.gzipSync(JSON.stringify(value) + "\n");
+
+function writeCompactFile(file, kind, entries) {
+  const lines = [header(kind), ...entries.map(compactEntry)]
+    .map((value) => JSON.stringify(value))
+    .join("\n");
+  fs.writeFileSync(file, zlib.gzipSync(lines + "\n"));
+  return file;
+}
+
+// Write a whole data file in the compact format, replacing what was there (in either format)
+export function writeBehavior(dataDir, behaviorId, kind, entries) {
+  const file = writeCompactFile(compactPath(dataDir, behaviorId, kind), kind, entries);
+  fs.rmSync(legacyPath(dataDir, behaviorId, kind), { force: true });
+  return file;
+}
+
+// Convert a behavior's legacy file to the compact format, removing the legacy file once it reads back
+export function migrateBehavior(dataDir, behaviorId, kind) {
+  const legacyFile = legacyPath(dataDir, behaviorId, kind);
+  if (!fs.existsSync(legacyFile)) return null;
+
+  const entries = readEntries(legacyFile);
+  const compactFile = compactPath(dataDir, behaviorId, kind);
+  // A capture may already have appended compact entries: keep them after the legacy ones
+  const existing = fs.existsSync(compactFile) ? readEntries(compactFile) : [];
+  writeCompactFile(compactFile, kind, [...entries, ...existing]);
+
+  const written = readEntries(compactFile).length;
+  if (written !== entries.length + existing.length) {
+    throw new Error(
+      `${compactFile}: wrote ${written} entries, expected ${entries.length + existing.length}`
+    );
+  }
+
+  const before = fs.statSync(legacyFile).size;
+  fs.unlinkSync(legacyFile);
+  return {
+    file: compactFile,
+    entries: entries.length,
+    bytesBefore: before,
+    bytesAfter: fs.statSync(compactFile).size,
+  };
+}
+
+// Open a compact data file for appending entries one at a time (migrating a legacy file first)
+export function openAppender(dataDir, behaviorId, kind) {
+  migrateBehavior(dataDir, behaviorId, kind);
+
+  const file = compactPath(dataDir, behaviorId, kind);
+  const fd = fs.openSync(file, "a");
+  if (fs.fstatSync(fd).size === 0) {
+    fs.writeSync(fd, gzipLine(header(kind)));
+  }
+
+  return {
+    file,
+    // Returns the number of bytes written
+    write(entry) {
+      const member = gzipLine(compactEntry(entry));
+      fs.writeSync(fd, member);
+      return member.length;
+    },
+    close() {
+      fs.closeSync(fd);
+    },
+  };
+}
@@ -0,0 +1,227 @@
+import zlib from "zlib";
+import { findDataFile, parseEntries, readLines } from "./recording-format.js";
+import {
+  RRWEB_FULL_SNAPSHOT,
+  RRWEB_META,
+  eventTime,
+  forEachEvent,
+  forEachSnapshot,
+  snapshotEventsOf,
+} from "./recording-timeline.js";
+
+// How much parsed data (measured as JSON text) the store keeps in memory before dropping the least
+// recently used behaviors
+export const DEFAULT_CACHE_BYTES = 512 * 1024 * 1024;
+
+// Fix attributes for a single node and its children
+function fixNodeAttributes(node) {
+  if (!node) return;
+
+  // Ensure attributes exists for element nodes (type 2)
+  if (node.type === 2 && node.attributes === undefined) {
+    node.attributes = {};
+  }
+
+  // Recursively fix child nodes
+  if (node.childNodes && Array.isArray(node.childNodes)) {
+    node.childNodes.forEach((child) => {
+      fixNodeAttributes(child);
+    });
+  }
+}
+
+// Fix undefined attributes in DOM nodes to prevent PostHog UI errors
+function fixDOMNodeAttributes(data) {
+  try {
+    // Parse DOM data if it's a string
+    const domData = typeof data === "string" ? JSON.parse(data) : data;
+
+    if (domData && domData.node) {
+      fixNodeAttributes(domData.node);
+    }
+  } catch (error) {
+    // If parsing fails, skip this DOM data
+    console.warn("Failed to parse DOM data:", error.message);
+  }
+}
+
+// Re-compress nested DOM snapshots that were originally compressed
+function recompressNestedSnapshot(snapshot) {
+  try {
+    // Re-compress the DOM data back to its original gzipped latin1 format
+    const buffer = zlib.gzipSync(Buffer.from(snapshot.data, "utf8"));
+    snapshot.data = buffer.toString("latin1");
+    // Remove the flag since we've restored original format
+    delete snapshot._original_compressed;
+  } catch (error) {
+    console.warn("Failed to re-compress DOM snapshot:", error.message);
+  }
+}
+
+// Get full snapshots ready to be sent, once per load: the same for every replay
+function prepareFullSnapshots(recordings) {
+  let recompressed = 0;
+  forEachSnapshot(recordings, (snapshot) => {
+    if (snapshot.type !== RRWEB_FULL_SNAPSHOT || !snapshot.data) return;
+    fixDOMNodeAttributes(snapshot.data);
+    if (snapshot._original_compressed && typeof snapshot.data === "string") {
+      recompressNestedSnapshot(snapshot);
+      recompressed++;
+    }
+  });
+  if (recompressed > 0) {
+    console.log(`🔄 Re-compressed ${recompressed} DOM snapshot(s) back to original format`);
+  }
+}
+
+// A copy of a recordings entry's $snapshot events that one replay can change (IDs, distinct_id,
+// timestamps, the meta event's page). The snapshot data itself, the DOM, is shared and must not be changed.
+export function copySnapshotEvents(entry) {
+  return snapshotEventsOf(entry).map((snapshotEvent) => {
+    if (!snapshotEvent.properties) return { ...snapshotEvent };
+    const snapshotData = snapshotEvent.properties.$snapshot_data;
+    return {
+      ...snapshotEvent,
+      properties: {
+        ...snapshotEvent.properties,
+        ...(Array.isArray(snapshotData) && {
+          $snapshot_data: snapshotData.map((snapshot) =>
+            snapshot.type === RRWEB_META
+              ? { ...snapshot, data: { ...snapshot.data } }
+              : { ...snapshot }
+          ),
+        }),
+      },
+    };
+  });
+}
+
+const PROJECT_KEY_PATTERN = /phc_[a-zA-Z0-9]+/g;
+
+// `value` with the captured project key swapped for `projectKey` wherever it appears, copying only the
+// objects on the way to a string that has one
+function withProjectKey(value, projectKey) {
+  if (typeof value === "string") {
+    return value.includes("phc_") ? value.replaceAll(PROJECT_KEY_PATTERN, projectKey) : value;
+  }
+  if (!value || typeof value !== "object") return value;
+  let copy = value;
+  for (const [key, item] of Object.entries(value)) {
+    const next = withProjectKey(item, projectKey);
+    if (next !== item) {
+      if (copy === value) copy = Array.isArray(value) ? [...value] : { ...value };
+      copy[key] = next;
+    }
+  }
+  return copy;
+}
+
+// A copy of a captured event that one replay can change, with the captured project key swapped for
+// `projectKey`. The event, its properties and their $set / $set_once are copied (replays write to those);
+// deeper values are shared with other replays and must not be changed in place.
+export function copyEvent(event, projectKey) {
+  const copy = { ...withProjectKey(event, projectKey) };
+  if (copy.properties && typeof copy.properties === "object") {
+    copy.properties = { ...copy.properties };
+    for (const key of ["$set", "$set_once"]) {
+      if (copy.properties[key] && typeof copy.properties[key] === "object") {
+        copy.properties[key] = { ...copy.properties[key] };
+      }
+    }
+  }
+  return copy;
+}
+
+// Loads each captured behavior once per run, indexed for replay: recordings ready to copy, events grouped
+// by session and the activity times of the timeline. The least recently used behaviors are dropped once
+// the loaded data passes maxBytes (the one in use is always kept).
+class RecordingStore {
+  constructor({ dataDir, maxBytes = DEFAULT_CACHE_BYTES }) {
+    this.dataDir = dataDir;
+    this.maxBytes = maxBytes;
+    // behaviorId -> loaded behavior, least recently used first
+    this.behaviors = new Map();
+  }
+
+  get(behaviorId) {
+    let behavior = this.behaviors.get(behaviorId);
+    if (behavior) {
+      // Move to the most recently used end
+      this.behaviors.delete(behaviorId);
+    } else {
+      behavior = this.load(behaviorId);
+    }
+    this.behaviors.set(behaviorId, behavior);
+    this.evict();
+    return behavior;
+  }
+
+  evict() {
+    let total = 0;
+    for (const behavior of this.behaviors.values()) total += behavior.bytes;
+    for (const [behaviorId, behavior] of this.behaviors) {
+      if (total <= this.maxBytes || this.behaviors.size === 1) break;
+      this.behaviors.delete(behaviorId);
+      total -= behavior.bytes;
+    }
+  }
+
+  load(behaviorId) {
+    // Load recordings (legacy .jsonl or compact .jsonl.gz)
+    const recordingsFile = findDataFile(this.dataDir, behaviorId, "recordings");
+    if (!recordingsFile) {
+      throw new Error(`No recordings found for "${behaviorId}" in ${this.dataDir}`);
+    }
+    const recordingLines = readLines(recordingsFile);
+    // Only the decompressed snapshots are replayed, so the raw request bodies of legacy files are dropped
+    const recordings = parseEntries(recordingLines, recordingsFile).map(
+      ({ timestamp, originalTimestamp, decompressed }) => ({ timestamp, originalTimestamp, decompressed })
+    );
+    prepareFullSnapshots(recordings);
+
+    const eventsFile = findDataFile(this.dataDir, behaviorId, "events");
+    const eventLines = eventsFile ? readLines(eventsFile) : [];
+    const eventEntries = parseEntries(eventLines, eventsFile);
+
+    // original session ID -> [{ event, time }], in capture order
+    const eventsBySession = new Map();
+    forEachEvent(eventEntries, (event, entry) => {
+      const sessionId = event.properties?.$session_id;
+      if (!sessionId) return;
+      if (!eventsBySession.has(sessionId)) eventsBySession.set(sessionId, []);
+      eventsBySession.get(sessionId).push({ event, time: eventTime(event, entry) });
+    });
+
+    // When something happened in the captured timeline: every snapshot, and every event of a recorded session
+    const activityTimes = [];
+    const include = (time) => {
+      if (typeof time === "number" && !Number.isNaN(time)) activityTimes.push(time);
+    };
+    const recordedSessionIds = new Set();
+    forEachSnapshot(recordings, (snapshot, snapshotEvent) => {
+      recordedSessionIds.add(snapshotEvent.properties?.$session_id);
+      include(snapshot.timestamp);
+    });
+    for (const sessionId of recordedSessionIds) {
+      for (const { time } of eventsBySession.get(sessionId) || []) include(time);
+    }
+
+    const bytes = [...recordingLines, ...eventLines].reduce((sum, line) => sum + line.length, 0);
+    console.log(
+      `📂 Loaded ${behaviorId}: ${recordings.length} recording chunk(s), ${eventEntries.length} event entries ` +
+        `in ${eventsBySession.size} session(s) (${(bytes / 1024 / 1024).toFixed(1)} MB)`
+    );
+
+    return {
+      behaviorId,
+      recordings,
+      hasEventsFile: Boolean(eventsFile),
+      eventEntryCount: eventEntries.length,
+      eventsBySession,
+      activityTimes,
+      bytes,
+    };
+  }
+}
+
+export default RecordingStore;
@@ -0,0 +1,115 @@
+// Helpers for reading and moving the timestamps of a captured behavior: rrweb snapshots in the
+// recordings entries and PostHog events in the events entries.
+
+// rrweb event types
+export const RRWEB_FULL_SNAPSHOT = 2;
+export const RRWEB_INCREMENTAL_SNAPSHOT = 3;
+export const RRWEB_META = 4;
+
+// rrweb incremental sources that change what the page looks like (as opposed to mouse/touch movement),
+// so they must be kept when a recording is cut after its full snapshot
+export const DOM_CHANGING_SOURCES = new Set([
+  0, // mutation
+  3, // scroll
+  4, // viewport resize
+  5, // input
+  7, // media interaction
+  8, // stylesheet rule
+  9, // canvas mutation
+  10, // font
+  13, // style declaration
+  15, // adopted stylesheet
+]);
+
+// The $snapshot events of a recordings entry
+export const snapshotEventsOf = (entry) =>
+  Array.isArray(entry.decompressed) ? entry.decompressed : [];
+
+// The PostHog events of an events entry (one event or a batch)
+export const eventsOf = (entry) =>
+  !entry.data ? [] : Array.isArray(entry.data) ? entry.data : [entry.data];
+
+export function forEachSnapshot(recordingEntries, fn) {
+  for (const entry of recordingEntries) {
+    for (const snapshotEvent of snapshotEventsOf(entry)) {
+      for (const snapshot of snapshotEvent.properties?.$snapshot_data || []) {
+        fn(snapshot, snapshotEvent, entry);
+      }
+    }
+  }
+}
+
+export function forEachEvent(eventEntries, fn) {
+  for (const entry of eventEntries) {
+    for (const event of eventsOf(entry)) {
+      fn(event, entry);
+    }
+  }
+}
+
+// When an event happened, in ms: its own timestamp, else when the proxy received it
+export function eventTime(event, entry) {
+  const time = event.timestamp ? Date.parse(event.timestamp) : NaN;
+  return Number.isNaN(time) ? entry?.originalTimestamp ?? null : time;
+}
+
+export function setEventTime(event, time) {
+  event.timestamp = new Date(time).toISOString();
+}
+
+// First and last snapshot/event times of a behavior, or nulls when it's empty
+export function timelineBounds(recordingEntries, eventEntries = []) {
+  let start = null;
+  let end = null;
+  const include = (time) => {
+    if (typeof time !== "number" || Number.isNaN(time)) return;
+    start = start === null ? time : Math.min(start, time);
+    end = end === null ? time : Math.max(end, time);
+  };
+  forEachSnapshot(recordingEntries, (snapshot) => include(snapshot.timestamp));
+  forEachEvent(eventEntries, (event, entry) => include(eventTime(event, entry)));
+  return { start, end };
+}
+
+// Build a monotonic time mapping that shortens every gap between activity times longer than maxIdle
+// down to maxIdle. Times are ms; the mapping keeps the first activity time unchanged.
+export function createIdleCompressor(activityTimes, maxIdle) {
+  const times = Array.from(new Set(activityTimes)).sort((a, b) => a - b);
+  // [gap end time, total ms removed up to and including this gap]
+  const cuts = [];
+  let removed = 0;
+  for (let i = 1; i < times.length; i++) {
+    const gap = times[i] - times[i - 1];
+    if (gap > maxIdle) {
+      removed += gap - maxIdle;
+      cuts.push([times[i], removed, times[i - 1]]);
+    }
+  }
+
+  const map = (time) => {
+    // Last cut whose gap ends at or before this time
+    let low = 0;
+    let high = cuts.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (cuts[mid][0] <= time) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    const removedBefore = found === -1 ? 0 : cuts[found][1];
+    // Times inside the next gap (not an activity time) keep their distance to the gap start, capped at maxIdle
+    const next = cuts[found + 1];
+    if (next && time > next[2]) {
+      return time - removedBefore - Math.max(0, time - next[2] - maxIdle);
+    }
+    return time - removedBefore;
+  };
+
+  map.removedMs = removed;
+  map.gapCount = cuts.length;
+  return map;
+}
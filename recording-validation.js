@@ -0,0 +1,236 @@
+// Health checks for a captured behavior, so broken captures are caught before they are replayed.
+// Used by validate-recordings.js.
+import {
+  RRWEB_FULL_SNAPSHOT,
+  RRWEB_META,
+  eventTime,
+  forEachEvent,
+  snapshotEventsOf,
+  timelineBounds,
+} from "./recording-timeline.js";
+
+// Check levels, from best to worst
+export const LEVELS = ["ok", "warning", "error"];
+
+const worst = (levels) => LEVELS[Math.max(0, ...levels.map((level) => LEVELS.indexOf(level)))];
+
+const check = (name, problems, okDetail) => {
+  const level = worst(problems.map(({ level }) => level));
+  return {
+    name,
+    level,
+    details: problems.length > 0 ? problems.map(({ message }) => message) : okDetail ? [okDetail] : [],
+  };
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+// Check the recordings and events entries of one behavior. `bytes` is the size of its data files.
+// Returns { durationMs (of the recording), sessionCount, recordingChunks, eventCount, bytes, level,
+// checks: [{ name, level, details }] } where level is the worst of the checks: "error" means the behavior
+// can't be replayed properly.
+export function checkBehavior({ recordings = [], events = [], hasEventsFile = events.length > 0, bytes = 0 }) {
+  let fullSnapshots = 0;
+  let brokenFullSnapshots = 0;
+  let metaEvents = 0;
+  let undecodedChunks = 0;
+  let snapshotsWithoutSession = 0;
+  let invalidTimestamps = 0;
+  let backwardSteps = 0;
+  // window -> last snapshot time, and windows whose first snapshot isn't a meta or full snapshot
+  const lastTimes = new Map();
+  const startsMidway = new Set();
+  // recorded session ID -> its window IDs
+  const recordedSessions = new Map();
+
+  for (const entry of recordings) {
+    if (!Array.isArray(entry.decompressed)) {
+      // Kept as rawData (or the raw legacy body) because the proxy couldn't decode it
+      undecodedChunks++;
+      continue;
+    }
+    for (const snapshotEvent of snapshotEventsOf(entry)) {
+      const sessionId = snapshotEvent.properties?.$session_id;
+      const windowId = snapshotEvent.properties?.$window_id;
+      if (!sessionId) {
+        snapshotsWithoutSession++;
+      } else {
+        if (!recordedSessions.has(sessionId)) recordedSessions.set(sessionId, new Set());
+        if (windowId) recordedSessions.get(sessionId).add(windowId);
+      }
+      const windowKey = `${sessionId}\0${windowId}`;
+
+      for (const snapshot of snapshotEvent.properties?.$snapshot_data || []) {
+        if (snapshot.type === RRWEB_FULL_SNAPSHOT) {
+          fullSnapshots++;
+          if (snapshot._decompression_error) brokenFullSnapshots++;
+        }
+        if (snapshot.type === RRWEB_META) metaEvents++;
+
+        if (typeof snapshot.timestamp !== "number" || Number.isNaN(snapshot.timestamp)) {
+          invalidTimestamps++;
+          continue;
+        }
+        if (!lastTimes.has(windowKey) && snapshot.type !== RRWEB_META && snapshot.type !== RRWEB_FULL_SNAPSHOT) {
+          startsMidway.add(windowKey);
+        }
+        if (lastTimes.has(windowKey) && snapshot.timestamp < lastTimes.get(windowKey)) backwardSteps++;
+        lastTimes.set(windowKey, Math.max(snapshot.timestamp, lastTimes.get(windowKey) ?? -Infinity));
+      }
+    }
+  }
+
+  let eventCount = 0;
+  let undecodedEventPayloads = 0;
+  let eventsWithoutTime = 0;
+  // session ID -> event count, for sessions without a recording; and events of an unrecorded window
+  const unrecordedSessions = new Map();
+  let eventsInUnrecordedWindows = 0;
+  const sessionsWithEvents = new Set();
+  forEachEvent(events, (event, entry) => {
+    if (event?.rawData) {
+      undecodedEventPayloads++;
+      return;
+    }
+    eventCount++;
+    if (eventTime(event, entry) === null) eventsWithoutTime++;
+    const sessionId = event?.properties?.$session_id;
+    const windowId = event?.properties?.$window_id;
+    if (!sessionId) return;
+    sessionsWithEvents.add(sessionId);
+    if (!recordedSessions.has(sessionId)) {
+      unrecordedSessions.set(sessionId, (unrecordedSessions.get(sessionId) || 0) + 1);
+    } else if (windowId && recordedSessions.get(sessionId).size > 0 && !recordedSessions.get(sessionId).has(windowId)) {
+      eventsInUnrecordedWindows++;
+    }
+  });
+
+  const checks = [];
+
+  checks.push(
+    check(
+      "Full snapshot",
+      [
+        ...(recordings.length === 0 ? [{ level: "error", message: "no recordings: nothing to replay" }] : []),
+        ...(recordings.length > 0 && fullSnapshots === 0
+          ? [{ level: "error", message: "no full snapshot (type 2): the replay has no page to show" }]
+          : []),
+        ...(fullSnapshots > 0 && brokenFullSnapshots === fullSnapshots
+          ? [{ level: "error", message: "every full snapshot failed to decompress" }]
+          : []),
+        ...(startsMidway.size > 0
+          ? [{ level: "warning", message: `${plural(startsMidway.size, "window")} with activity before the first full snapshot` }]
+          : []),
+      ],
+      fullSnapshots > 0 && plural(fullSnapshots, "full snapshot")
+    )
+  );
+
+  checks.push(
+    check(
+      "Meta event",
+      recordings.length > 0 && metaEvents === 0
+        ? [{ level: "error", message: "no meta event (type 4): the player doesn't know the page URL or viewport" }]
+        : [],
+      metaEvents > 0 && plural(metaEvents, "meta event")
+    )
+  );
+
+  checks.push(
+    check("Timestamps", [
+      ...(invalidTimestamps > 0
+        ? [{ level: "error", message: `${plural(invalidTimestamps, "snapshot")} without a valid timestamp` }]
+        : []),
+      ...(backwardSteps > 0
+        ? [{ level: "warning", message: `snapshot timestamps go backwards ${plural(backwardSteps, "time")} within a window` }]
+        : []),
+      ...(eventsWithoutTime > 0
+        ? [{ level: "warning", message: `${plural(eventsWithoutTime, "event")} without a timestamp` }]
+        : []),
+    ], "increasing")
+  );
+
+  const unrecordedEventCount = Array.from(unrecordedSessions.values()).reduce((sum, count) => sum + count, 0);
+  const sessionsWithoutEvents = Array.from(recordedSessions.keys()).filter((id) => !sessionsWithEvents.has(id));
+  checks.push(
+    check(
+      "Session and window IDs",
+      [
+        ...(snapshotsWithoutSession > 0
+          ? [{ level: "error", message: `${plural(snapshotsWithoutSession, "$snapshot event")} without a $session_id` }]
+          : []),
+        ...(unrecordedSessions.size > 0
+          ? [{
+              level: "warning",
+              message: `${plural(unrecordedEventCount, "event")} in ${plural(unrecordedSessions.size, "session")} without a recording (never replayed)`,
+            }]
+          : []),
+        ...(eventsInUnrecordedWindows > 0
+          ? [{ level: "warning", message: `${plural(eventsInUnrecordedWindows, "event")} in a window that has no recording` }]
+          : []),
+        ...(recordedSessions.size > 1
+          ? [{ level: "warning", message: `${recordedSessions.size} recorded sessions in one behavior (see npm run split)` }]
+          : []),
+        ...(!hasEventsFile && recordings.length > 0
+          ? [{ level: "warning", message: "no events file: only the recording is replayed" }]
+          : []),
+        ...(hasEventsFile && sessionsWithoutEvents.length > 0
+          ? [{ level: "warning", message: `${plural(sessionsWithoutEvents.length, "recorded session")} without events` }]
+          : []),
+      ],
+      "events and recordings match"
+    )
+  );
+
+  checks.push(
+    check(
+      "Decoding",
+      [
+        ...(brokenFullSnapshots > 0 && brokenFullSnapshots < fullSnapshots
+          ? [{ level: "error", message: `${plural(brokenFullSnapshots, "full snapshot")} failed to decompress (_decompression_error)` }]
+          : []),
+        ...(undecodedChunks > 0
+          ? [{ level: "warning", message: `${plural(undecodedChunks, "undecodable recording payload")} (skipped)` }]
+          : []),
+        ...(undecodedEventPayloads > 0
+          ? [{ level: "warning", message: `${plural(undecodedEventPayloads, "undecodable event payload")} (skipped)` }]
+          : []),
+      ],
+      "no decode errors"
+    )
+  );
+
+  // How long the replay runs
+  const { start, end } = timelineBounds(recordings);
+  return {
+    durationMs: start === null ? 0 : end - start,
+    sessionCount: recordedSessions.size,
+    recordingChunks: recordings.length,
+    eventCount,
+    bytes,
+    level: worst(checks.map(({ level }) => level)),
+    checks,
+  };
+}
+
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, "0")}s` : `${seconds}s`;
+};
+
+const formatBytes = (bytes) =>
+  bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+const LEVEL_ICONS = { ok: "✅", warning: "⚠️ ", error: "❌" };
+
+// Human readable lines for the health report of one behavior
+export function formatHealthReport(behaviorId, report) {
+  return [
+    `${LEVEL_ICONS[report.level]} ${behaviorId}: ${formatDuration(report.durationMs)}, ` +
+      `${plural(report.sessionCount, "session")}, ${plural(report.recordingChunks, "recording chunk")}, ` +
+      `${plural(report.eventCount, "event")}, ${formatBytes(report.bytes)}`,
+    ...report.checks.map(
+      ({ name, level, details }) => `   ${LEVEL_ICONS[level]} ${name}${details.length ? `: ${details.join("; ")}` : ""}`
+    ),
+  ];
+}
@@ -0,0 +1,406 @@
+import crypto from "crypto";
+import fs from "fs";
+import zlib from "zlib";
+
+// Used when no redaction-config.json is present. Entries in a config file replace these section by section.
+export const DEFAULT_REDACTION_CONFIG = {
+  // Secret mixed into the fake values, so they can't be reversed by hashing guesses
+  salt: "session-replayer",
+  // Regex patterns replaced in every string we store (event properties, DOM text, console logs...)
+  patterns: [
+    {
+      name: "email",
+      regex: "[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}",
+      fake: "email",
+    },
+    {
+      name: "token",
+      regex:
+        "\\b(?:Bearer\\s+[A-Za-z0-9._~+/-]{16,}|eyJ[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+|(?:sk|pk|rk|ghp|gho|xox[abps])[-_][A-Za-z0-9_-]{16,})",
+      fake: "token",
+    },
+    {
+      name: "phone",
+      regex: "(?:\\+\\d{1,3}[\\s.-]?)?\\(?\\d{3}\\)?[\\s.-]\\d{3}[\\s.-]\\d{4}\\b",
+      fake: "phone",
+    },
+  ],
+  // Event property rules. `property` matches the key at any depth under `properties`,
+  // `path` matches an exact dotted path from the event root ("*" matches any key).
+  // Actions: "fake" (consistent fake value), "mask", "remove", "strip_query" (URLs).
+  properties: [
+    { property: "$current_url", action: "strip_query" },
+    { property: "$initial_current_url", action: "strip_query" },
+    { property: "$referrer", action: "strip_query" },
+    { property: "$initial_referrer", action: "strip_query" },
+    { property: "email", action: "fake", fake: "email" },
+    { property: "$email", action: "fake", fake: "email" },
+    { property: "name", action: "fake", fake: "name" },
+    { property: "$name", action: "fake", fake: "name" },
+    { property: "first_name", action: "fake", fake: "name" },
+    { property: "last_name", action: "fake", fake: "name" },
+    { property: "phone", action: "fake", fake: "phone" },
+  ],
+  // rrweb input values (input events and value attributes): "mask", "fake", "patterns" or "keep"
+  inputs: "mask",
+  // Text nodes in DOM snapshots and mutations: "patterns", "mask" or "keep"
+  dom_text: "patterns",
+  // Request headers never written to disk
+  strip_headers: ["cookie", "authorization"],
+};
+
+// Load redaction settings, layering a config file (if any) over the defaults
+export function loadRedactionConfig(configPath) {
+  if (!configPath || !fs.existsSync(configPath)) {
+    return DEFAULT_REDACTION_CONFIG;
+  }
+  const fileConfig = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  return { ...DEFAULT_REDACTION_CONFIG, ...fileConfig };
+}
+
+// rrweb event and node types we need to look inside
+const RRWEB_FULL_SNAPSHOT = 2;
+const RRWEB_INCREMENTAL_SNAPSHOT = 3;
+const RRWEB_META = 4;
+const RRWEB_SOURCE_MUTATION = 0;
+const RRWEB_SOURCE_INPUT = 5;
+const NODE_ELEMENT = 2;
+const NODE_TEXT = 3;
+
+const INPUT_TAGS = new Set(["input", "textarea", "select", "option"]);
+
+const isGzipString = (value) =>
+  typeof value === "string" &&
+  value.length > 2 &&
+  value.charCodeAt(0) === 31 &&
+  value.charCodeAt(1) === 139;
+
+// Apply fn to JSON that may be an object, a JSON string, or a gzipped latin1 JSON string (posthog-js packs
+// full snapshots and mutation lists that way), returning the value in its original packing
+function transformPacked(value, fn) {
+  if (isGzipString(value)) {
+    const json = zlib.gunzipSync(Buffer.from(value, "latin1")).toString("utf8");
+    const redacted = JSON.stringify(fn(JSON.parse(json)));
+    return zlib.gzipSync(Buffer.from(redacted, "utf8")).toString("latin1");
+  }
+  if (typeof value === "string") {
+    return JSON.stringify(fn(JSON.parse(value)));
+  }
+  return fn(value);
+}
+
+const stripQuery = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    const url = new URL(value);
+    url.search = "";
+    return url.toString();
+  } catch {
+    return value.split("?")[0];
+  }
+};
+
+// Create a redactor. The same real value always maps to the same fake value (per salt).
+export function createRedactor(config = DEFAULT_REDACTION_CONFIG) {
+  const patterns = (config.patterns || []).map((pattern) => ({
+    ...pattern,
+    regex: new RegExp(pattern.regex, pattern.flags || "g"),
+  }));
+  const propertyRules = config.properties || [];
+  const stripHeaders = new Set(
+    (config.strip_headers || []).map((header) => header.toLowerCase())
+  );
+  const fakes = new Map();
+  // Fake values already handed out, so patterns don't redact them a second time
+  const fakeOutputs = new Set();
+
+  const fakeValue = (kind = "text", value) => {
+    const key = `${kind}:${value}`;
+    if (fakes.has(key)) return fakes.get(key);
+
+    const hash = crypto
+      .createHmac("sha256", config.salt || "")
+      .update(String(value))
+      .digest("hex");
+    const digits = BigInt(`0x${hash.slice(0, 12)}`).toString().padStart(6, "0");
+    let fake;
+    switch (kind) {
+      case "email":
+        fake = `user-${hash.slice(0, 8)}@example.com`;
+        break;
+      case "phone":
+        // 555-0100 to 555-0199 are reserved for fictional use
+        fake = `+1-202-555-01${digits.slice(-2)}`;
+        break;
+      case "name":
+        fake = `Person ${hash.slice(0, 6)}`;
+        break;
+      case "token":
+        fake = `redacted-token-${hash.slice(0, 16)}`;
+        break;
+      default:
+        fake = `redacted-${hash.slice(0, 8)}`;
+    }
+    fakes.set(key, fake);
+    fakeOutputs.add(fake);
+    return fake;
+  };
+
+  const mask = (value) =>
+    typeof value === "string" ? value.replace(/\S/g, "*") : value;
+
+  const applyPatterns = (value) => {
+    if (typeof value !== "string" || value.length === 0) return value;
+    return patterns.reduce(
+      (text, pattern) =>
+        text.replace(pattern.regex, (match) =>
+          fakeOutputs.has(match) ? match : fakeValue(pattern.fake, match)
+        ),
+      value
+    );
+  };
+
+  // Apply patterns to every string inside any JSON value
+  const deepPatterns = (value) => {
+    if (typeof value === "string") return applyPatterns(value);
+    if (Array.isArray(value)) return value.map(deepPatterns);
+    if (value && typeof value === "object") {
+      for (const [key, child] of Object.entries(value)) {
+        value[key] = deepPatterns(child);
+      }
+    }
+    return value;
+  };
+
+  const applyAction = (rule, value) => {
+    switch (rule.action) {
+      case "remove":
+        return undefined;
+      case "mask":
+        return mask(value);
+      case "strip_query":
+        return applyPatterns(stripQuery(value));
+      case "fake":
+      default:
+        if (value === null || value === undefined || value === "") return value;
+        if (fakeOutputs.has(value)) return value;
+        return fakeValue(
+          rule.fake,
+          typeof value === "string" ? value : JSON.stringify(value)
+        );
+    }
+  };
+
+  const setOrDelete = (target, key, value) => {
+    if (value === undefined) {
+      delete target[key];
+    } else {
+      target[key] = value;
+    }
+  };
+
+  // Rules with `property`: match that key anywhere below the object
+  const applyPropertyRule = (target, rule) => {
+    if (!target || typeof target !== "object") return;
+    for (const [key, value] of Object.entries(target)) {
+      if (key === rule.property) {
+        setOrDelete(target, key, applyAction(rule, value));
+      } else if (value && typeof value === "object") {
+        applyPropertyRule(value, rule);
+      }
+    }
+  };
+
+  // Rules with `path`: walk a dotted path, "*" matching any key
+  const applyPathRule = (target, segments, rule) => {
+    if (!target || typeof target !== "object") return;
+    const [segment, ...rest] = segments;
+    const keys = segment === "*" ? Object.keys(target) : [segment];
+    for (const key of keys) {
+      if (!(key in target)) continue;
+      if (rest.length === 0) {
+        setOrDelete(target, key, applyAction(rule, target[key]));
+      } else {
+        applyPathRule(target[key], rest, rule);
+      }
+    }
+  };
+
+  const redactInput = (value) => {
+    switch (config.inputs) {
+      case "keep":
+        return value;
+      case "patterns":
+        return applyPatterns(value);
+      case "fake":
+        return typeof value === "string" && value
+          ? fakeValue("text", value)
+          : value;
+      case "mask":
+      default:
+        return mask(value);
+    }
+  };
+
+  const redactText = (value) => {
+    switch (config.dom_text) {
+      case "keep":
+        return value;
+      case "mask":
+        return mask(value);
+      case "patterns":
+      default:
+        return applyPatterns(value);
+    }
+  };
+
+  const redactAttributes = (attributes, tagName) => {
+    if (!attributes || typeof attributes !== "object") return;
+    for (const [name, value] of Object.entries(attributes)) {
+      if (typeof value !== "string") continue;
+      if (name === "value" && (!tagName || INPUT_TAGS.has(tagName))) {
+        attributes[name] = redactInput(value);
+      } else {
+        attributes[name] = applyPatterns(value);
+      }
+    }
+  };
+
+  // Walk a serialized rrweb node tree (full snapshot or mutation "adds")
+  const redactNode = (node, parentIsStyle = false) => {
+    if (!node || typeof node !== "object") return;
+    if (node.type === NODE_TEXT && typeof node.textContent === "string") {
+      node.textContent =
+        node.isStyle || parentIsStyle
+          ? applyPatterns(node.textContent)
+          : redactText(node.textContent);
+    }
+    if (node.type === NODE_ELEMENT) {
+      redactAttributes(node.attributes, node.tagName);
+    }
+    if (Array.isArray(node.childNodes)) {
+      const isStyle = node.type === NODE_ELEMENT && node.tagName === "style";
+      node.childNodes.forEach((child) => redactNode(child, isStyle));
+    }
+  };
+
+  const redactMutation = (data) => {
+    if (data.adds) {
+      data.adds = transformPacked(data.adds, (adds) => {
+        adds.forEach((add) => redactNode(add.node));
+        return adds;
+      });
+    }
+    if (data.texts) {
+      data.texts = transformPacked(data.texts, (texts) => {
+        texts.forEach((text) => {
+          text.value = redactText(text.value);
+        });
+        return texts;
+      });
+    }
+    if (data.attributes) {
+      data.attributes = transformPacked(data.attributes, (attributes) => {
+        // Mutations don't carry the tag name, so any "value" attribute is treated as an input value
+        attributes.forEach((mutation) => redactAttributes(mutation.attributes));
+        return attributes;
+      });
+    }
+  };
+
+  // Redact a single rrweb event from $snapshot_data
+  const redactSnapshot = (snapshot) => {
+    if (!snapshot || typeof snapshot !== "object" || snapshot.data == null) {
+      return snapshot;
+    }
+
+    if (snapshot.type === RRWEB_FULL_SNAPSHOT) {
+      snapshot.data = transformPacked(snapshot.data, (data) => {
+        redactNode(data.node);
+        return data;
+      });
+    } else if (snapshot.type === RRWEB_INCREMENTAL_SNAPSHOT) {
+      if (snapshot.data.source === RRWEB_SOURCE_MUTATION) {
+        redactMutation(snapshot.data);
+      } else if (snapshot.data.source === RRWEB_SOURCE_INPUT) {
+        snapshot.data.text = redactInput(snapshot.data.text);
+      }
+    } else if (snapshot.type === RRWEB_META) {
+      // Treat the page URL like $current_url
+      const page = { $current_url: snapshot.data.href };
+      propertyRules
+        .filter((rule) => rule.property === "$current_url")
+        .forEach((rule) => applyPropertyRule(page, rule));
+      snapshot.data.href = applyPatterns(page.$current_url);
+    } else {
+      // Custom events and plugins (console logs, network requests...)
+      snapshot.data = deepPatterns(snapshot.data);
+    }
+    return snapshot;
+  };
+
+  const redactEvent = (event) => {
+    // Snapshot data is redacted structurally, never by property rules (rrweb nodes have "name" attributes etc.)
+    const { $snapshot_data: snapshotData, ...properties } = event.properties || {};
+    const result = { ...event, properties };
+
+    for (const rule of propertyRules) {
+      if (rule.path) {
+        applyPathRule(result, rule.path.split("."), rule);
+      } else if (rule.property) {
+        applyPropertyRule(result.properties, rule);
+        applyPropertyRule(result.$set, rule);
+        applyPropertyRule(result.$set_once, rule);
+      }
+    }
+
+    deepPatterns(result.properties);
+    deepPatterns(result.$set);
+    deepPatterns(result.$set_once);
+
+    if (Array.isArray(snapshotData)) {
+      result.properties.$snapshot_data = snapshotData.map(redactSnapshot);
+    } else if (snapshotData !== undefined) {
+      result.properties.$snapshot_data = snapshotData;
+    }
+    if (!event.properties) {
+      delete result.properties;
+    }
+    return result;
+  };
+
+  // Find the events in a capture payload: one event, an array of them, or a { batch } body
+  const redactPayloadInPlace = (payload) => {
+    if (Array.isArray(payload)) {
+      return payload.map(redactPayloadInPlace);
+    }
+    if (payload && typeof payload === "object") {
+      if (Array.isArray(payload.batch)) {
+        payload.batch = payload.batch.map(redactPayloadInPlace);
+        return payload;
+      }
+      return redactEvent(payload);
+    }
+    return payload;
+  };
+
+  return {
+    // Returns a redacted copy of an event/recording payload
+    redactPayload(payload) {
+      return redactPayloadInPlace(structuredClone(payload));
+    },
+
+    // Returns request headers without the stripped ones, with patterns applied to the rest
+    redactHeaders(headers = {}) {
+      const result = {};
+      for (const [name, value] of Object.entries(headers)) {
+        if (stripHeaders.has(name.toLowerCase())) continue;
+        result[name] =
+          name.toLowerCase() === "referer"
+            ? applyPatterns(stripQuery(value))
+            : deepPatterns(value);
+      }
+      return result;
+    },
+  };
+}
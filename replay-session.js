@@ -1,73 +1,104 @@
-import fs from "fs/promises";
-import https from "https";
 import zlib from "zlib";
+import packageJson from "./package.json" with { type: "json" };
 import dotenv from "dotenv";
 import path, { dirname } from "path";
 import { fileURLToPath } from "url";
+import { resolvePostHogHost } from "./posthog-host.js";
+import RecordingStore, { copyEvent, copySnapshotEvents } from "./recording-store.js";
+import { RRWEB_META } from "./recording-timeline.js";
+import { createTimingVariation } from "./timing-variation.js";
+import { createPropertyRewriter } from "./property-rules.js";
+import { buildPersonProperties, identifyPerson } from "./person-identity.js";
+import { applyDeviceProfile, pickDeviceProfile } from "./device-profiles.js";
+import { applyFeatureFlags, assignFeatureFlags } from "./feature-flags.js";
+import { createSink } from "./sinks.js";
+import { createDelivery } from "./delivery.js";
+import { createRandom, stableUuid } from "./random.js";
+import {
+  splitEventBatches,
+  splitSnapshotPayloads,
+} from "./payload-chunking.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-dotenv.config();
+const dataDir = path.join(__dirname, "data");
+
+dotenv.config({ quiet: true });
+
+// Sent with recordings when the user has no device profile, or the recording no page URL
+const DEFAULT_USER_AGENT =
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 Safari/537.36";
+const DEFAULT_ORIGIN = "http://localhost:3000";
+
+const originOf = (url) => {
+  try {
+    const { origin } = new URL(url);
+    return origin === "null" ? null : origin;
+  } catch {
+    return null;
+  }
+};
 
 class PostHogSessionReplay {
   constructor(config) {
+    // Everything random in this replay (IDs, timing, generated values) comes from here, so a seeded
+    // generator from main.js makes it reproducible
+    this.random = config.random || createRandom();
     this.config = {
       recordingId: config.recordingId,
-      targetHost: config.targetHost || "us.i.posthog.com",
+      // Resolved from targetHost, else POSTHOG_HOST / POSTHOG_REGION (defaults to US cloud)
+      posthogHost: resolvePostHogHost({
+        host: config.targetHost,
+        region: config.region,
+      }),
       projectKey: config.projectKey || process.env.POSTHOG_API_KEY,
       timestamp: config.timestamp,
       sessionId: config.sessionId,
       userId: config.userId,
-      anonId: crypto.randomUUID(),
+      anonId: this.random.uuid(),
       ...config,
     };
-  }
+    // Parsed recordings, shared across replays when main.js passes its store
+    this.config.store =
+      this.config.store || new RecordingStore({ dataDir });
+    // Where payloads go: uploaded to PostHog (with retries) unless main.js passes another sink
+    this.config.sink =
+      this.config.sink ||
+      createDelivery(
+        createSink({ type: "posthog", posthogHost: this.config.posthogHost })
+      );
 
-  // Fix undefined attributes in DOM nodes to prevent PostHog UI errors
-  ensureDOMAttributesExist(events) {
-    events.forEach((event) => {
-      if (event.properties && event.properties.$snapshot_data) {
-        event.properties.$snapshot_data.forEach((snapshot) => {
-          if (snapshot.type === 2 && snapshot.data) {
-            // Type 2 is DOM snapshot, fix any undefined attributes
-            this.fixDOMNodeAttributes(snapshot.data);
-          }
-        });
-      }
+    // Rewrites replayed property values (and page URLs) from the generation-config property_rules
+    this.propertyRewriter = createPropertyRewriter(this.config.propertyRules, {
+      user: this.config.user || { id: this.config.userId },
+      sessionId: this.config.sessionId,
+      random: this.random,
     });
+    // $set / $set_once sent for the generated user
+    this.person = buildPersonProperties(
+      this.config.user || { id: this.config.userId },
+      this.config.personProperties
+    );
+    // The user's device, browser, location and referrer (null keeps the recorded ones)
+    this.device = pickDeviceProfile(
+      this.config.user || { id: this.config.userId },
+      this.config.deviceProfiles
+    );
+    // The user's variant of each configured feature flag
+    this.featureFlags = assignFeatureFlags(
+      this.config.user || { id: this.config.userId },
+      this.config.featureFlags
+    );
+    // Events and $snapshot events replayed so far, numbering the next one for its UUID
+    this.eventCount = 0;
+    this.snapshotCount = 0;
   }
 
-  // Recursively fix DOM node attributes
-  fixDOMNodeAttributes(data) {
-    try {
-      // Parse DOM data if it's a string
-      const domData = typeof data === "string" ? JSON.parse(data) : data;
-
-      if (domData && domData.node) {
-        this.fixNodeAttributes(domData.node);
-      }
-    } catch (error) {
-      // If parsing fails, skip this DOM data
-      console.warn("Failed to parse DOM data:", error.message);
-    }
-  }
-
-  // Fix attributes for a single node and its children
-  fixNodeAttributes(node) {
-    if (!node) return;
-
-    // Ensure attributes exists for element nodes (type 2)
-    if (node.type === 2 && node.attributes === undefined) {
-      node.attributes = {};
-    }
-
-    // Recursively fix child nodes
-    if (node.childNodes && Array.isArray(node.childNodes)) {
-      node.childNodes.forEach((child) => {
-        this.fixNodeAttributes(child);
-      });
-    }
+  // Move a captured time onto the replay's scheduled timestamp, keeping its (timing-varied) offset from
+  // the timeline start
+  rebaseTime(originalTime) {
+    return this.config.timestamp + (this.timing(originalTime) - this.timelineStart);
   }
 
   // Modify the decompressed data: new session ID, keep original user ID
@@ -91,15 +122,12 @@ class PostHogSessionReplay {
     const originalUserId = originalEvent?.properties?.distinct_id;
     const originalSessionId = originalEvent?.properties?.$session_id;
     const originalWindowId = originalEvent?.properties?.$window_id;
-    const originalTimestamp =
-      originalRecording?.decompressed[0]?.properties?.$snapshot_data[0]
-        ?.timestamp;
 
     if (!newSessionIdMap.has(originalSessionId)) {
       newSessionIdMap.set(originalSessionId, this.config.sessionId);
     }
     if (!newWindowIdMap.has(originalWindowId)) {
-      newWindowIdMap.set(originalWindowId, crypto.randomUUID());
+      newWindowIdMap.set(originalWindowId, this.random.uuid());
     }
     const newSessionId = newSessionIdMap.get(originalSessionId);
     const newWindowId = newWindowIdMap.get(originalWindowId);
@@ -109,14 +137,8 @@ class PostHogSessionReplay {
     // console.log(`   New session:      ${newSessionId}`);
     // console.log(`   User ID:          ${originalUserId} (preserved)`);
 
-    // Clone and modify the decompressed data
-    const chunks = JSON.parse(JSON.stringify(originalRecording.decompressed));
-
-    // Fix potential undefined attributes in DOM nodes to prevent PostHog UI errors
-    this.ensureDOMAttributesExist(chunks);
-
-    // Re-compress nested DOM snapshots that were originally compressed
-    this.recompressNestedSnapshots(chunks);
+    // Copy and modify the decompressed data (the store already fixed and re-compressed the DOM snapshots)
+    const chunks = copySnapshotEvents(originalRecording);
 
     chunks.forEach((chunk) => {
       if (chunk.properties) {
@@ -133,27 +155,63 @@ class PostHogSessionReplay {
           chunk.properties.distinct_id = this.config.anonId;
         }
 
-        // Update snapshot timestamps if present
+        // Rebase snapshot timestamps onto the scheduled session time
         if (
           chunk.properties.$snapshot_data &&
           Array.isArray(chunk.properties.$snapshot_data)
         ) {
           chunk.properties.$snapshot_data.forEach((snapshot) => {
-            // const offset = snapshot.timestamp - originalTimestamp;
-            snapshot.timestamp = snapshot.timestamp - 86400000;
+            snapshot.timestamp = this.rebaseTime(snapshot.timestamp);
+            // Keep the page URL shown in the replay in line with the events' $current_url
+            if (snapshot.type === RRWEB_META && snapshot.data?.href) {
+              snapshot.data.href = this.propertyRewriter.rewriteUrl(
+                snapshot.data.href
+              );
+              this.pageOrigin ||= originOf(snapshot.data.href);
+            }
+            // Play the replay in the user's viewport
+            if (snapshot.type === RRWEB_META && snapshot.data && this.device?.viewport) {
+              snapshot.data.width = this.device.viewport.width;
+              snapshot.data.height = this.device.viewport.height;
+            }
           });
         }
       }
+      if (chunk.timestamp) {
+        const chunkTime = Date.parse(chunk.timestamp);
+        if (!Number.isNaN(chunkTime)) {
+          chunk.timestamp = new Date(this.rebaseTime(chunkTime)).toISOString();
+        }
+      }
     });
 
     console.log(`✅ Modified ${chunks.length} chunks`);
 
-    // Recompress the modified data (Node.js zlib is closer to original than gzip-js)
-    const modifiedJson = JSON.stringify(chunks);
-    const compressed = zlib.gzipSync(Buffer.from(modifiedJson, "utf8"));
+    // Split into requests under the payload limits, then recompress each one (Node.js zlib is closer to
+    // original than gzip-js)
+    const requests = splitSnapshotPayloads(chunks, this.config.payloadLimits);
+    if (requests.oversizedEvents > 0) {
+      console.warn(
+        `⚠️  ${requests.oversizedEvents} snapshot(s) exceed the $snapshot size limit on their own and are sent as is`
+      );
+    }
+    // Each $snapshot event sent (a split one is several, with different rrweb data) gets a UUID keyed by run
+    // and session like the events' UUIDs, instead of the recorder's, which every replay of this recording
+    // would repeat: a resent recording can be deduplicated too
+    for (const snapshotEvent of requests.flat()) {
+      snapshotEvent.uuid = stableUuid(
+        `${this.config.runId ?? ""}\0${this.config.sessionId}\0snapshot\0${this.snapshotCount++}`
+      );
+    }
+    const parts = requests.map((partChunks) => ({
+      chunks: partChunks,
+      compressed: zlib.gzipSync(
+        Buffer.from(JSON.stringify(partChunks), "utf8")
+      ),
+    }));
 
     return {
-      compressed,
+      parts,
       chunks,
       identifiers: {
         newSessionId,
@@ -164,117 +222,67 @@ class PostHogSessionReplay {
     };
   }
 
-  async sendToPostHog({
-    compressedData,
-    endpoint = "/s/",
-    verbose = true,
-    dryRun = true,
-  } = {}) {
-    const queryParams = new URLSearchParams({
-      ip: "0",
-      _: this.config.timestamp.toString(),
-      ver: "1.265.0",
-      compression: "gzip-js",
-      // Note: Original PostHog requests do NOT include token or beacon parameters
-    });
-
-    const options = {
-      hostname: this.config.targetHost,
-      port: 443,
-      path: `${endpoint}?${queryParams.toString()}`,
-      method: "POST",
+  async sendToPostHog({ compressedData, chunks, endpoint = "/s/", verbose = true } = {}) {
+    return this.config.sink.send({
+      endpoint,
+      query: {
+        ip: "0",
+        _: this.config.timestamp.toString(),
+        ver: "1.265.0",
+        compression: "gzip-js",
+        // Note: Original PostHog requests do NOT include token or beacon parameters
+      },
       headers: {
         "Content-Type": "text/plain",
-        "Content-Length": compressedData.length,
-        "User-Agent":
-          "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 Safari/537.36",
+        "User-Agent": this.device?.userAgent || DEFAULT_USER_AGENT,
         Accept: "*/*",
-        Origin: "http://localhost:3000",
-        Referer: "http://localhost:3000/",
+        // the recorded page's site, as a browser on it would send
+        Origin: this.pageOrigin || DEFAULT_ORIGIN,
+        Referer: `${this.pageOrigin || DEFAULT_ORIGIN}/`,
       },
-    };
-
-    if (dryRun) {
-      console.log(
-        `📊 Dry run: Skipping sending session recording to PostHog...\n`
-      );
-      return;
-    }
-
-    return new Promise((resolve, reject) => {
-      const req = https.request(options, (res) => {
-        let responseBody = "";
-        res.on("data", (chunk) => {
-          responseBody += chunk;
-        });
-        res.on("end", () => {
-          if (verbose) {
-            console.log(`📥 Response: HTTP ${res.statusCode}`);
-            if (responseBody && responseBody.length < 500) {
-              console.log(`📥 Response Body: ${responseBody}`);
-            }
-          }
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            resolve({
-              status: res.statusCode,
-              body: responseBody,
-              headers: res.headers,
-            });
-          } else {
-            reject(new Error(`HTTP ${res.statusCode}: ${responseBody}`));
-          }
-        });
-      });
-
-      req.on("error", reject);
-      req.write(compressedData);
-      req.end();
+      compression: "gzip-js",
+      body: chunks,
+      rawBody: compressedData,
+      verbose,
     });
   }
 
-  async sendEventsToPostHog({ batchData, dryRun = true } = {}) {
+  // Send events in /batch/ requests under the payload limits. Returns one response per request.
+  async sendEventsToPostHog({ batchData } = {}) {
     if (!batchData || !batchData.batch || batchData.batch.length === 0) {
-      return null;
+      return [];
     }
 
+    const batches = splitEventBatches(batchData.batch, this.config.payloadLimits);
     const eventCount = batchData.batch.length;
+    console.log(
+      `📊 Sending ${eventCount} events to ${this.config.sink.description}` +
+        (batches.length > 1 ? ` in ${batches.length} batches` : "") +
+        `...\n`
+    );
 
-    if (dryRun) {
-      console.log(
-        `📊 Dry run: Skipping sending batch of ${eventCount} events to PostHog...\n`
-      );
-      return;
-    }
-
-    console.log(`📊 Sending batch of ${eventCount} events to PostHog...\n`);
-
+    const responses = [];
     try {
-      // send an arry with historical_migration flag
-      const url = "https://us.i.posthog.com/batch/";
-
-      const body = {
-        api_key: process.env.POSTHOG_API_KEY || this.config.projectKey,
-        historical_migration: true,
-        batch: batchData.batch,
-      };
-
-      (async () => {
-        const res = await fetch(url, {
-          method: "POST",
+      for (const batch of batches) {
+        // send an arry with historical_migration flag
+        const response = await this.config.sink.send({
+          endpoint: "/batch/",
+          query: {},
           headers: {
             "Content-Type": "application/json",
           },
-          body: JSON.stringify(body),
+          body: {
+            api_key: process.env.POSTHOG_API_KEY || this.config.projectKey,
+            historical_migration: true,
+            batch,
+          },
         });
-
-        const data = await res.text(); // or res.json()
-        console.log(`📊 Batch sent successfully\n`);
-        console.log("Status:", res.status);
-        console.log("Response:", data);
-      })();
-
-      // console.log(`✅ Batch sent successfully\n`);
-      // return response;
+        if (!response?.failed) {
+          console.log(`📊 Batch of ${batch.length} events sent successfully\n`);
+        }
+        responses.push(response);
+      }
+      return responses;
     } catch (error) {
       console.error(`❌ Failed to send batch: ${error.message}\n`);
       throw error;
@@ -283,100 +291,91 @@ class PostHogSessionReplay {
 
   async loadAndModifyEvents(originalSessionId, newSessionId) {
     try {
-      // Load events
-      let eventsData = await fs.readFile(
-        path.join(__dirname, "data", `${this.config.recordingId}-events.jsonl`),
-        "utf8"
-      );
-      eventsData = eventsData.replaceAll(
-        /phc_[a-zA-Z0-9]+/g,
-        this.config.projectKey
-      );
-      const eventEntries = eventsData
-        .trim()
-        .split("\n")
-        .filter((line) => line.trim())
-        .map((line) => JSON.parse(line));
-
-      if (eventEntries.length === 0) {
-        console.log("⚠️  No events found in events.jsonl");
+      // Events come pre-grouped by session from the recording store
+      const { hasEventsFile, eventEntryCount, eventsBySession } = this.behavior;
+      if (!hasEventsFile) {
+        console.log("⚠️  events file not found, skipping events");
+        return null;
+      }
+
+      if (eventEntryCount === 0) {
+        console.log("⚠️  No events found in events file");
         return null;
       }
 
       console.log(
         `🔍 Looking for events with session ID: ${originalSessionId}`
       );
-      console.log(`📊 Total event entries in file: ${eventEntries.length}`);
-
-      // Collect all events from all batches that match the session
-      const allModifiedEvents = [];
-      const seenSessionIds = new Set();
-
-      // each line in events.jsonl
-      for (const entry of eventEntries) {
-        let eventData = entry.data;
-
-        // Skip empty entries
-        if (!eventData) {
-          continue;
-        }
-
-        if (!Array.isArray(eventData)) {
-          eventData = [eventData];
-        }
-
-        // get batch timeset and offset
-        const batchTimestamp = new Date(this.config.timestamp).toISOString();
-
-        // process each event in batch
-        for (const event of eventData) {
-          const sessionId = event.properties?.$session_id;
-          if (sessionId) {
-            seenSessionIds.add(sessionId);
-
-            // Only process events matching the original session ID
-            if (sessionId === originalSessionId) {
-              // dupe event
-              const modified = JSON.parse(JSON.stringify(event));
-
-              // use new sesh id
-              if (modified.properties && modified.properties.$session_id) {
-                modified.properties.$session_id = newSessionId;
-                if (modified.properties.$is_identified) {
-                  modified.properties.distinct_id = this.config.userId;
-                } else {
-                  modified.properties.distinct_id = this.config.anonId;
-                }
-              }
-
-              // use the batch timestamp (with the offset applied)
-              modified.timestamp = batchTimestamp;
-
-              // delete the original timestamp
-              delete modified.uuid;
-              delete modified.offset;
-              modified.properties.$lib = "posthog-session-replay";
-              modified.properties.$lib_version = `${new Date().toISOString()}`;
-
-              allModifiedEvents.push(modified);
-            }
-          }
-        }
-      }
+      console.log(`📊 Total event entries in file: ${eventEntryCount}`);
 
       // Debug: show what session IDs we found
-      if (seenSessionIds.size > 0) {
+      if (eventsBySession.size > 0) {
         console.log(
-          `🔍 Found ${seenSessionIds.size} unique session ID(s) in events:`
+          `🔍 Found ${eventsBySession.size} unique session ID(s) in events:`
         );
-        Array.from(seenSessionIds)
+        Array.from(eventsBySession.keys())
           .slice(0, 10)
           .forEach((id) => {
             console.log(`   - ${id}`);
           });
-        if (seenSessionIds.size > 10) {
-          console.log(`   ... and ${seenSessionIds.size - 10} more`);
+        if (eventsBySession.size > 10) {
+          console.log(`   ... and ${eventsBySession.size - 10} more`);
+        }
+      }
+
+      const modifiedEvents = (eventsBySession.get(originalSessionId) || []).map(
+        ({ event, time }) => {
+          // copy the event (shared with other replays), with the captured project key swapped for ours
+          const modified = copyEvent(event, this.config.projectKey);
+
+          // use new sesh id
+          if (modified.properties && modified.properties.$session_id) {
+            modified.properties.$session_id = newSessionId;
+            if (modified.properties.$is_identified) {
+              modified.properties.distinct_id = this.config.userId;
+            } else {
+              modified.properties.distinct_id = this.config.anonId;
+            }
+          }
+
+          // keep the event's offset from the start of the recording
+          modified.timestamp = new Date(this.rebaseTime(time)).toISOString();
+
+          // the captured event's UUID is replaced below
+          delete modified.uuid;
+          delete modified.offset;
+          modified.properties.$lib = "posthog-session-replay";
+          modified.properties.$lib_version = packageJson.version;
+
+          // the user's device and location first, so property_rules can still override them
+          applyDeviceProfile(modified, this.device);
+          this.propertyRewriter.rewriteEvent(modified);
+
+          return modified;
+        }
+      );
+
+      // Show the user's flag variants, then link the anonymous ID to the user and send their person properties
+      const allModifiedEvents = identifyPerson(
+        applyFeatureFlags(
+          modifiedEvents.sort(
+            (a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp)
+          ),
+          this.featureFlags
+        ),
+        {
+          userId: this.config.userId,
+          anonId: this.config.anonId,
+          person: this.person,
         }
+      );
+
+      // Each event's UUID comes from the run, session and event number, so sending this session again (a
+      // resumed or repeated run) repeats the same UUIDs and PostHog can deduplicate them
+      for (const event of allModifiedEvents) {
+        event.uuid = stableUuid(
+          `${this.config.runId ?? ""}\0${this.config.sessionId}\0${this.eventCount++}`
+        );
       }
 
       if (allModifiedEvents.length === 0) {
@@ -397,87 +396,83 @@ class PostHogSessionReplay {
         historical_migration: true,
       };
     } catch (error) {
-      if (error.code === "ENOENT") {
-        console.log("⚠️  events.jsonl file not found, skipping events");
-        return null;
-      }
+      console.error(`❌ Failed to load events: ${error.message}`);
       throw error;
     }
   }
 
-  // Re-compress nested DOM snapshots that were originally compressed
-  recompressNestedSnapshots(events) {
-    events.forEach((event) => {
-      if (event.properties && event.properties.$snapshot_data) {
-        event.properties.$snapshot_data.forEach((snapshot) => {
-          if (
-            snapshot.type === 2 &&
-            snapshot._original_compressed &&
-            typeof snapshot.data === "string"
-          ) {
-            try {
-              // Re-compress the DOM data back to its original gzipped latin1 format
-              const buffer = zlib.gzipSync(Buffer.from(snapshot.data, "utf8"));
-              snapshot.data = buffer.toString("latin1");
-              // Remove the flag since we've restored original format
-              delete snapshot._original_compressed;
-              console.log(
-                `🔄 Re-compressed DOM snapshot back to original format`
-              );
-            } catch (error) {
-              console.warn(
-                "Failed to re-compress DOM snapshot:",
-                error.message
-              );
-            }
-          }
-        });
-      }
-    });
-  }
-
-  async replaySession({ dryRun = true } = {}) {
+  async replaySession() {
     console.log("🎬 Creating new session from captured recording...\n");
 
     try {
-      // Load recordings
-      const recordingsData = await fs.readFile(
-        path.join(
-          __dirname,
-          "data",
-          `${this.config.recordingId}-recordings.jsonl`
-        ),
-        "utf8"
-      );
-      const recordings = recordingsData
-        .trim()
-        .split("\n")
-        .filter((line) => line.trim())
-        .map((line) => JSON.parse(line));
+      // Loaded once per run and shared by every replay of this recording
+      this.behavior = this.config.store.get(this.config.recordingId);
+      const { recordings, activityTimes } = this.behavior;
 
       if (recordings.length === 0) {
-        console.log("❌ No recordings found in recordings.jsonl");
+        console.log("❌ No recordings found in recordings file");
         return;
       }
 
+      // Everything is rebased onto the scheduled timestamp relative to where the capture started,
+      // with this replay's own timing variation applied to snapshots and events alike
+      this.timelineStart = activityTimes.reduce(
+        (start, time) => Math.min(start, time),
+        Infinity
+      );
+      this.timing = createTimingVariation(
+        activityTimes,
+        this.config.timing,
+        this.random
+      );
+      console.log(
+        `⏱️  Timing: speed ×${this.timing.speed.toFixed(2)}` +
+          (this.timing.pauseCount
+            ? `, ${this.timing.pauseCount} idle pause(s) adding ${(this.timing.addedPauseMs / 1000).toFixed(1)}s`
+            : "")
+      );
+      if (this.device) {
+        console.log(`📱 Device: ${this.device.description}`);
+      }
+      if (Object.keys(this.featureFlags).length > 0) {
+        console.log(
+          `🚩 Flags: ${Object.entries(this.featureFlags)
+            .map(([key, value]) => `${key}=${value}`)
+            .join(", ")}`
+        );
+      }
+
       const newSessionIds = new Map();
       const newWindowIds = new Map();
       const recordingResponses = [];
+      // original session IDs whose events have been sent
+      const sessionsWithEventsSent = new Set();
+      // new session ID -> how many requests its recording and events took
+      const partCounts = new Map();
+      const countParts = (sessionId) => {
+        if (!partCounts.has(sessionId)) {
+          partCounts.set(sessionId, { recordingParts: 0, eventBatches: 0 });
+        }
+        return partCounts.get(sessionId);
+      };
 
       for await (const recording of recordings) {
         // Modify and recompress
-        const { compressed, identifiers } = await this.modifyAndRecompress(
+        const { parts, identifiers } = await this.modifyAndRecompress(
           recording,
           newSessionIds,
           newWindowIds
         );
 
-        // Find and modify events for this session
+        // Find and modify events for this session, once: later chunks of the same session reuse it
 
         for await (const [
           originalSessionId,
           newSessionId,
         ] of newSessionIds.entries()) {
+          if (sessionsWithEventsSent.has(originalSessionId)) continue;
+          sessionsWithEventsSent.add(originalSessionId);
+
           const batchData = await this.loadAndModifyEvents(
             originalSessionId,
             newSessionId
@@ -485,17 +480,25 @@ class PostHogSessionReplay {
 
           // Send batch if events were found
           if (batchData) {
-            await this.sendEventsToPostHog({ batchData, dryRun });
+            const batchResponses = await this.sendEventsToPostHog({ batchData });
+            countParts(newSessionId).eventBatches += batchResponses.length;
           }
         }
 
-        // Send session recording to PostHog
-        console.log("🚀 Sending session recording to PostHog...");
-        const recordingResponse = await this.sendToPostHog({
-          compressedData: compressed,
-          dryRun,
-        });
-        recordingResponses.push(recordingResponse);
+        // Send session recording to PostHog (or wherever the sink writes), one request per part
+        console.log(
+          `🚀 Sending session recording to ${this.config.sink.description}` +
+            (parts.length > 1 ? ` in ${parts.length} parts` : "") +
+            "..."
+        );
+        for (const part of parts) {
+          const recordingResponse = await this.sendToPostHog({
+            compressedData: part.compressed,
+            chunks: part.chunks,
+          });
+          recordingResponses.push(recordingResponse);
+        }
+        countParts(identifiers.newSessionId).recordingParts += parts.length;
 
         console.log(`\n✅ New session created successfully!`);
         console.log(
@@ -511,6 +514,12 @@ class PostHogSessionReplay {
         );
       }
 
+      for (const [sessionId, { recordingParts, eventBatches }] of partCounts) {
+        console.log(
+          `📦 Session ${sessionId}: ${recordingParts} recording part(s), ${eventBatches} event batch(es)`
+        );
+      }
+
       return {
         success: true,
         recordingResponses,
@@ -0,0 +1,50 @@
+// Send the payloads that failed during a replay (the dead-letter file) to PostHog again:
+//   npm run resend [-- --file output/dead-letter.ndjson]
+// Payloads that fail again stay in the file.
+import fs from "fs";
+import config from "./generation-config.json" with { type: "json" };
+import { createSink } from "./sinks.js";
+import { createDelivery, DEFAULT_DELIVERY_CONFIG } from "./delivery.js";
+import { resolvePostHogHost } from "./posthog-host.js";
+
+const argValue = (flag) => {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const deliveryConfig = { ...DEFAULT_DELIVERY_CONFIG, ...config.delivery };
+const file = argValue("--file") || deliveryConfig.dead_letter_file;
+
+if (!fs.existsSync(file)) {
+  console.log(`Nothing to resend: ${file} does not exist`);
+  process.exit(0);
+}
+
+const records = fs
+  .readFileSync(file, "utf8")
+  .split("\n")
+  .filter((line) => line.trim())
+  .map((line) => JSON.parse(line));
+
+// Payloads that fail again are written to a new dead-letter file; the old one is kept as a backup until
+// everything has been tried
+const sendingFile = `${file}.sending`;
+fs.renameSync(file, sendingFile);
+
+const posthogHost = resolvePostHogHost({ host: config.posthog_host, region: config.posthog_region });
+const delivery = createDelivery(createSink({ type: "posthog", posthogHost }), {
+  ...deliveryConfig,
+  dead_letter_file: file,
+});
+
+console.log(`🔁 Resending ${records.length} payload(s) from ${file} to ${delivery.description}\n`);
+for (const record of records) {
+  await delivery.send({ ...record.payload, verbose: false });
+}
+
+fs.rmSync(sendingFile);
+
+delivery.printSummary();
+if (delivery.summary().failed > 0) {
+  process.exitCode = 1;
+}
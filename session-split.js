@@ -0,0 +1,121 @@
+// Splits one captured behavior into one behavior per original PostHog session/window
+// (e.g. signin -> signin.1, signin.2), numbered in order of first appearance.
+// Used live by the proxy (--split) and offline by split-recordings.js.
+
+// rrweb event types that make a recording replayable from its start
+const RRWEB_FULL_SNAPSHOT = 2;
+const RRWEB_META = 4;
+
+class SessionSplitter {
+  constructor(baseName) {
+    this.baseName = baseName;
+    this.splits = [];
+    this.unassignedEventCount = 0;
+  }
+
+  // Find or create the split for a session/window. Events without a $window_id join the session's first window.
+  splitFor(sessionId, windowId) {
+    let split = this.splits.find(
+      (s) =>
+        s.sessionId === sessionId &&
+        (!windowId || !s.windowId || s.windowId === windowId)
+    );
+    if (split) {
+      split.windowId = split.windowId || windowId || null;
+      return split;
+    }
+
+    split = {
+      behaviorId: `${this.baseName}.${this.splits.length + 1}`,
+      sessionId,
+      windowId: windowId || null,
+      eventCount: 0,
+      recordingChunkCount: 0,
+      hasFullSnapshot: false,
+      hasMeta: false,
+    };
+    this.splits.push(split);
+    return split;
+  }
+
+  // Group events (or $snapshot events) by split
+  groupItems(items, { onItem }) {
+    const groups = new Map();
+    for (const item of items) {
+      const sessionId = item?.properties?.$session_id;
+      if (!sessionId) {
+        this.unassignedEventCount++;
+        continue;
+      }
+      const split = this.splitFor(sessionId, item.properties.$window_id);
+      onItem(split, item);
+      if (!groups.has(split)) groups.set(split, []);
+      groups.get(split).push(item);
+    }
+    return Array.from(groups, ([split, groupItems]) => ({ split, items: groupItems }));
+  }
+
+  // Split an events file entry (its data is one event or an array of them)
+  splitEventEntry(entry) {
+    const events = Array.isArray(entry.data) ? entry.data : [entry.data];
+    return this.groupItems(events, {
+      onItem: (split) => split.eventCount++,
+    }).map(({ split, items }) => ({
+      split,
+      entry: { ...entry, data: Array.isArray(entry.data) ? items : items[0] },
+    }));
+  }
+
+  // Split a recordings file entry by the $snapshot events in its decompressed data
+  splitRecordingEntry(entry) {
+    if (!Array.isArray(entry.decompressed)) {
+      return [];
+    }
+    const groups = this.groupItems(entry.decompressed, {
+      onItem: (split, snapshotEvent) => {
+        for (const snapshot of snapshotEvent.properties.$snapshot_data || []) {
+          if (snapshot.type === RRWEB_FULL_SNAPSHOT) split.hasFullSnapshot = true;
+          if (snapshot.type === RRWEB_META) split.hasMeta = true;
+        }
+      },
+    });
+    return groups.map(({ split, items }) => {
+      split.recordingChunkCount++;
+      return {
+        split,
+        // The original request body can only be kept if the chunk wasn't split up
+        entry: { ...entry, data: groups.length === 1 ? entry.data : null, decompressed: items },
+      };
+    });
+  }
+
+  report() {
+    return this.splits.map((split) => ({
+      behaviorId: split.behaviorId,
+      sessionId: split.sessionId,
+      windowId: split.windowId,
+      events: split.eventCount,
+      recordingChunks: split.recordingChunkCount,
+      hasFullSnapshot: split.hasFullSnapshot,
+      hasMeta: split.hasMeta,
+      // Without a full snapshot the recording can't be replayed from its start
+      complete: split.hasFullSnapshot,
+    }));
+  }
+}
+
+// Human readable lines for a split report
+export function formatSplitReport(splitter) {
+  const lines = splitter.report().map(
+    (split) =>
+      `${split.complete ? "✅" : "🧩"} ${split.behaviorId}: session ${split.sessionId}, window ${split.windowId || "?"} - ` +
+      `${split.events} events, ${split.recordingChunks} recording chunks, ` +
+      (split.complete ? "full snapshot" : "fragment (no full snapshot)")
+  );
+  if (splitter.unassignedEventCount > 0) {
+    lines.push(`⚠️  ${splitter.unassignedEventCount} events without a $session_id were not assigned to a session`);
+  }
+  return lines;
+}
+
+export default SessionSplitter;
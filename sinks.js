@@ -0,0 +1,172 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { requestModuleFor } from "./posthog-host.js";
+
+export const SINK_TYPES = ["posthog", "file", "stdout", "http"];
+
+// A request that got no response in this long fails (and can be retried)
+const REQUEST_TIMEOUT_MS = 30000;
+
+// A non-2xx response. `headers` lets callers honour Retry-After.
+export class HttpStatusError extends Error {
+  constructor(status, body, headers = {}) {
+    super(`HTTP ${status}: ${body}`);
+    this.name = "HttpStatusError";
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+// What the file, stdout and http sinks write for one payload: the request PostHog would get, with the
+// body as JSON (a /s/ body is sent gzipped, see `compression`)
+export const payloadRecord = ({ endpoint, query, compression, body }) => ({
+  endpoint,
+  query,
+  ...(compression ? { compression } : {}),
+  body,
+});
+
+// POST a body and resolve with the response, rejecting with HttpStatusError on non-2xx statuses
+function post(target, requestPath, headers, body, { verbose = true } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = requestModuleFor(target).request(
+      {
+        hostname: target.hostname,
+        port: target.port,
+        path: requestPath,
+        method: "POST",
+        headers: { ...headers, "Content-Length": body.length },
+      },
+      (res) => {
+        let responseBody = "";
+        res.on("data", (chunk) => {
+          responseBody += chunk;
+        });
+        res.on("end", () => {
+          if (verbose) {
+            console.log(`📥 Response: HTTP ${res.statusCode}`);
+            if (responseBody && responseBody.length < 500) {
+              console.log(`📥 Response Body: ${responseBody}`);
+            }
+          }
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve({
+              status: res.statusCode,
+              body: responseBody,
+              headers: res.headers,
+            });
+          } else {
+            reject(new HttpStatusError(res.statusCode, responseBody, res.headers));
+          }
+        });
+      }
+    );
+
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      req.destroy(Object.assign(new Error("Request timed out"), { code: "ETIMEDOUT" }));
+    });
+    req.on("error", reject);
+    req.write(body);
+    req.end();
+  });
+}
+
+// The bytes to upload for a payload without a rawBody (e.g. one read back from a file)
+const encodeBody = ({ body, compression }) => {
+  const json = Buffer.from(JSON.stringify(body), "utf8");
+  return compression === "gzip-js" ? zlib.gzipSync(json) : json;
+};
+
+// Upload to PostHog, as posthog-js would
+function createPostHogSink({ posthogHost }) {
+  return {
+    type: "posthog",
+    description: `PostHog (${posthogHost.origin})`,
+    send(payload) {
+      const query = new URLSearchParams(payload.query).toString();
+      const body = payload.rawBody || encodeBody(payload);
+      return post(
+        posthogHost,
+        query ? `${payload.endpoint}?${query}` : payload.endpoint,
+        payload.headers,
+        body,
+        { verbose: payload.verbose }
+      );
+    },
+  };
+}
+
+// Append each payload as one NDJSON line. The file is started over when the sink is created.
+function createFileSink({ file }) {
+  if (!file) {
+    throw new Error("The file sink needs a file (--sink-file or sink.file)");
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, "");
+  return {
+    type: "file",
+    description: `file ${file}`,
+    file,
+    async send(payload) {
+      fs.appendFileSync(file, JSON.stringify(payloadRecord(payload)) + "\n");
+      return null;
+    },
+  };
+}
+
+function createStdoutSink() {
+  return {
+    type: "stdout",
+    description: "stdout",
+    async send(payload) {
+      process.stdout.write(JSON.stringify(payloadRecord(payload)) + "\n");
+      return null;
+    },
+  };
+}
+
+// POST each payload record as JSON to any server, e.g. a local test endpoint
+function createHttpSink({ url }) {
+  if (!url) {
+    throw new Error("The http sink needs a URL (--sink-url or sink.url)");
+  }
+  const target = new URL(url);
+  const host = {
+    protocol: target.protocol,
+    hostname: target.hostname,
+    port: target.port ? Number(target.port) : target.protocol === "https:" ? 443 : 80,
+  };
+  return {
+    type: "http",
+    description: `HTTP ${target.origin}${target.pathname}`,
+    send(payload) {
+      return post(
+        host,
+        `${target.pathname}${target.search}`,
+        { "Content-Type": "application/json" },
+        Buffer.from(JSON.stringify(payloadRecord(payload)), "utf8"),
+        { verbose: payload.verbose }
+      );
+    },
+  };
+}
+
+// Create the sink replayed payloads are sent to: { type: "posthog" | "file" | "stdout" | "http", ... }
+// Each sink has its `type`, a `description` and `send(payload)`, where a payload is
+// { endpoint, query, headers, body, rawBody?, compression?, verbose? } and rawBody (if set) holds the
+// exact bytes to upload.
+export function createSink({ type = "posthog", file, url, posthogHost } = {}) {
+  switch (type) {
+    case "posthog":
+      return createPostHogSink({ posthogHost });
+    case "file":
+      return createFileSink({ file });
+    case "stdout":
+      return createStdoutSink();
+    case "http":
+      return createHttpSink({ url });
+    default:
+      throw new Error(`Unknown sink "${type}" (expected one of: ${SINK_TYPES.join(", ")})`);
+  }
+}
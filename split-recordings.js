@@ -0,0 +1,66 @@
+// Split an existing captured behavior into one behavior per original session/window:
+//   npm run split -- --name signin   ->   data/signin.1-*.jsonl.gz, data/signin.2-*.jsonl.gz, ...
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
+import SessionSplitter, { formatSplitReport } from "./session-split.js";
+import { findDataFile, readBehavior, writeBehavior } from "./recording-format.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const dataDir = path.join(__dirname, "data");
+
+const splitBehavior = (behaviorId) => {
+  if (
+    !findDataFile(dataDir, behaviorId, "events") &&
+    !findDataFile(dataDir, behaviorId, "recordings")
+  ) {
+    throw new Error(`No captured data found for behavior "${behaviorId}" in ${dataDir}`);
+  }
+
+  const splitter = new SessionSplitter(behaviorId);
+  const output = new Map();
+  const entriesFor = (split) => {
+    if (!output.has(split.behaviorId)) {
+      output.set(split.behaviorId, { events: [], recordings: [] });
+    }
+    return output.get(split.behaviorId);
+  };
+
+  // Recordings first, so splits are numbered by the order their recordings started
+  for (const entry of readBehavior(dataDir, behaviorId, "recordings")) {
+    for (const { split, entry: splitEntry } of splitter.splitRecordingEntry(entry)) {
+      entriesFor(split).recordings.push(splitEntry);
+    }
+  }
+  for (const entry of readBehavior(dataDir, behaviorId, "events")) {
+    for (const { split, entry: splitEntry } of splitter.splitEventEntry(entry)) {
+      entriesFor(split).events.push(splitEntry);
+    }
+  }
+
+  for (const [splitId, { events, recordings }] of output) {
+    writeBehavior(dataDir, splitId, "events", events);
+    writeBehavior(dataDir, splitId, "recordings", recordings);
+  }
+
+  return splitter;
+};
+
+const nameArgIndex = process.argv.findIndex(
+  (arg) => arg === "--name" || arg === "-n"
+);
+if (nameArgIndex === -1 || !process.argv[nameArgIndex + 1]) {
+  console.error("Usage: npm run split -- --name <behavior>");
+  process.exit(1);
+}
+
+const behaviorId = process.argv[nameArgIndex + 1];
+try {
+  const splitter = splitBehavior(behaviorId);
+  console.log(`✂️  Split ${behaviorId} into ${splitter.splits.length} session(s):`);
+  formatSplitReport(splitter).forEach((line) => console.log(`   ${line}`));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
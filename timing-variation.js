@@ -0,0 +1,110 @@
+import { parseDuration } from "./durations.js";
+
+// Gaps shorter than this are part of one interaction (typing, a mouse movement), so no idle pause is
+// inserted there
+const PAUSE_MIN_GAP_MS = 1000;
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Merge the `timing` settings of generation-config.json: global, then persona, then recording.
+// Later layers override earlier ones; `idle_pauses` is merged key by key.
+export function resolveTimingConfig(...layers) {
+  const merged = {};
+  for (const layer of layers) {
+    if (!isObject(layer)) continue;
+    const { idle_pauses: idlePauses, ...rest } = layer;
+    Object.assign(merged, rest);
+    if (idlePauses === null || idlePauses === false) {
+      delete merged.idle_pauses;
+    } else if (isObject(idlePauses)) {
+      merged.idle_pauses = { ...merged.idle_pauses, ...idlePauses };
+    }
+  }
+  return normalizeTiming(merged);
+}
+
+// Validate a merged timing config and convert it to { speed: [min, max], jitter, pauses }
+function normalizeTiming({ speed = 1, jitter = 0, idle_pauses: idlePauses } = {}) {
+  const speedRange = Array.isArray(speed) ? speed : [speed, speed];
+  if (
+    speedRange.length !== 2 ||
+    !speedRange.every((value) => typeof value === "number" && value > 0) ||
+    speedRange[0] > speedRange[1]
+  ) {
+    throw new Error(`Invalid timing.speed ${JSON.stringify(speed)} (use a factor or [min, max], e.g. [0.8, 1.3])`);
+  }
+  if (typeof jitter !== "number" || jitter < 0 || jitter >= 1) {
+    throw new Error(`Invalid timing.jitter ${JSON.stringify(jitter)} (use a fraction from 0 to below 1)`);
+  }
+
+  let pauses = null;
+  if (idlePauses) {
+    const { probability = 0, min = "5s", max = "30s" } = idlePauses;
+    if (typeof probability !== "number" || probability < 0 || probability > 1) {
+      throw new Error(`Invalid timing.idle_pauses.probability ${JSON.stringify(probability)} (use 0 to 1)`);
+    }
+    pauses = { probability, min: parseDuration(min), max: parseDuration(max) };
+    if (pauses.min > pauses.max) {
+      throw new Error("timing.idle_pauses.min must not be greater than max");
+    }
+  }
+
+  return { speed: speedRange, jitter, pauses };
+}
+
+const between = (random, min, max) => min + random() * (max - min);
+
+// Build a monotonic time mapping that varies the timing of one replay: the whole timeline is played at
+// a speed picked from the range (2 is twice as fast, 0.5 takes twice as long), every gap between
+// activity times gets its own jitter, and some longer gaps get an extra idle pause at their end.
+// Times are ms; the first activity time is kept.
+// Snapshots and events must be mapped with the same function so the replay stays in sync.
+export function createTimingVariation(activityTimes, timing, random = Math.random) {
+  const { speed, jitter, pauses } = timing || normalizeTiming();
+  const times = Array.from(new Set(activityTimes)).sort((a, b) => a - b);
+  const speedFactor = between(random, speed[0], speed[1]);
+  const stretch = 1 / speedFactor;
+
+  // For each gap (ending at times[i]): the factor applied to it and the mapped time of times[i]
+  const factors = [stretch];
+  const mapped = [times[0]];
+  let pauseCount = 0;
+  let addedPauseMs = 0;
+  for (let i = 1; i < times.length; i++) {
+    const gap = times[i] - times[i - 1];
+    const factor = stretch * (1 + between(random, -jitter, jitter));
+    let pause = 0;
+    if (pauses && gap >= PAUSE_MIN_GAP_MS && random() < pauses.probability) {
+      pause = between(random, pauses.min, pauses.max);
+      pauseCount++;
+      addedPauseMs += pause;
+    }
+    factors.push(factor);
+    mapped.push(mapped[i - 1] + gap * factor + pause);
+  }
+
+  const map = (time) => {
+    if (times.length === 0) return time;
+    if (time <= times[0]) return Math.round(times[0] - (times[0] - time) * stretch);
+
+    // Last activity time at or before this time
+    let low = 0;
+    let high = times.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (times[mid] <= time) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    // Inside a gap the time moves with that gap's factor (the pause comes at the end of the gap)
+    const factor = low + 1 < times.length ? factors[low + 1] : stretch;
+    return Math.round(mapped[low] + (time - times[low]) * factor);
+  };
+
+  map.speed = speedFactor;
+  map.pauseCount = pauseCount;
+  map.addedPauseMs = addedPauseMs;
+  return map;
+}
@@ -0,0 +1,66 @@
+// Check captured behaviors before relying on them, and exit non-zero if one can't be replayed properly:
+//   npm run validate                        ->  every behavior in data/
+//   npm run validate -- --name signin       ->  only signin (repeatable)
+//   npm run validate -- --strict            ->  warnings fail too
+import fs from "fs";
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
+import { KINDS, findDataFile, listBehaviors, readEntries } from "./recording-format.js";
+import { checkBehavior, formatHealthReport } from "./recording-validation.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const dataDir = path.join(__dirname, "data");
+
+// All values given for a (repeatable) flag
+const argValues = (flag) =>
+  process.argv.flatMap((arg, index) =>
+    arg === flag && process.argv[index + 1] !== undefined ? [process.argv[index + 1]] : []
+  );
+
+const validateBehavior = (behaviorId) => {
+  const files = Object.fromEntries(KINDS.map((kind) => [kind, findDataFile(dataDir, behaviorId, kind)]));
+  if (!files.events && !files.recordings) {
+    throw new Error(`No captured data found for behavior "${behaviorId}" in ${dataDir}`);
+  }
+  return checkBehavior({
+    recordings: files.recordings ? readEntries(files.recordings) : [],
+    events: files.events ? readEntries(files.events) : [],
+    hasEventsFile: Boolean(files.events),
+    bytes: Object.values(files)
+      .filter(Boolean)
+      .reduce((sum, file) => sum + fs.statSync(file).size, 0),
+  });
+};
+
+const names = [...argValues("--name"), ...argValues("-n")];
+const behaviorIds = names.length > 0 ? names : listBehaviors(dataDir);
+const strict = process.argv.includes("--strict");
+
+if (behaviorIds.length === 0) {
+  console.error(`❌ No captured behaviors in ${dataDir}`);
+  process.exit(1);
+}
+
+const counts = { ok: 0, warning: 0, error: 0 };
+for (const behaviorId of behaviorIds) {
+  let report;
+  try {
+    report = validateBehavior(behaviorId);
+  } catch (error) {
+    // Unreadable files (bad header, corrupt lines) can't be replayed either
+    counts.error++;
+    console.error(`❌ ${behaviorId}: ${error.message}`);
+    continue;
+  }
+  counts[report.level]++;
+  formatHealthReport(behaviorId, report).forEach((line) => console.log(line));
+}
+
+console.log(
+  `\nChecked ${behaviorIds.length} behavior(s): ${counts.ok} ok, ${counts.warning} with warnings, ${counts.error} failed`
+);
+if (counts.error > 0 || (strict && counts.warning > 0)) {
+  process.exit(1);
+}
@@ -0,0 +1,102 @@
+// Check a concurrency setting (e.g. "4" from the command line): a whole number of 1 or more. Returns it as
+// a number.
+export function validateConcurrency(value, where = "concurrency") {
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`${where} must be a whole number of 1 or more, got "${value}"`);
+  }
+  return concurrency;
+}
+
+// Run async jobs with at most `concurrency` at a time. Jobs with the same key (e.g. the same user) run one
+// after another, in the order given; jobs with different keys run side by side. If a job throws, no new
+// jobs are started and the error is rethrown once the running ones have finished.
+export async function runPool(jobs, { concurrency = 1, keyOf = () => undefined, run, onDone = () => {} }) {
+  // key -> its jobs not started yet, in order
+  const queues = new Map();
+  // keys whose next job can start (none of their jobs is running), oldest first
+  const ready = [];
+  jobs.forEach((job, index) => {
+    const key = keyOf(job) ?? `#${index}`;
+    if (!queues.has(key)) {
+      queues.set(key, []);
+      ready.push(key);
+    }
+    queues.get(key).push(job);
+  });
+
+  let failure = null;
+  // workers waiting for a key to free up
+  const waiting = [];
+  const waitForReady = () => new Promise((resolve) => waiting.push(resolve));
+  let running = 0;
+
+  const worker = async () => {
+    for (;;) {
+      if (failure) return;
+      const key = ready.shift();
+      if (key === undefined) {
+        // Nothing can start now: stop when nothing is running either, else wait for a key to free up
+        if (running === 0) return;
+        await waitForReady();
+        continue;
+      }
+
+      const job = queues.get(key).shift();
+      running++;
+      try {
+        await run(job);
+        onDone(job);
+      } catch (error) {
+        failure ||= error;
+      } finally {
+        running--;
+        if (queues.get(key).length > 0) {
+          ready.push(key);
+        } else {
+          queues.delete(key);
+        }
+        // Let waiting workers pick up the freed key, or finish
+        waiting.splice(0).forEach((resume) => resume());
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  if (failure) throw failure;
+}
+
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return h ? `${h}h${String(m).padStart(2, "0")}m` : m ? `${m}m${String(s).padStart(2, "0")}s` : `${s}s`;
+};
+
+// Track completed jobs and log progress with throughput and ETA, at most every `intervalMs`
+export function createProgress(total, { label = "jobs", intervalMs = 5000 } = {}) {
+  const startedAt = Date.now();
+  let done = 0;
+  let loggedAt = 0;
+
+  const log = () => {
+    const elapsed = Date.now() - startedAt;
+    const perMinute = elapsed > 0 ? (done / elapsed) * 60000 : 0;
+    const eta = done > 0 ? ((total - done) * elapsed) / done : null;
+    console.log(
+      `⏩ ${done}/${total} ${label} (${Math.round((done / total) * 100)}%), ${perMinute.toFixed(1)}/min` +
+        (done < total && eta !== null ? `, ETA ${formatDuration(eta)}` : `, took ${formatDuration(elapsed)}`)
+    );
+  };
+
+  return {
+    tick() {
+      done++;
+      if (done === total || Date.now() - loggedAt >= intervalMs) {
+        loggedAt = Date.now();
+        log();
+      }
+    },
+  };
+}